@@ -96,6 +96,90 @@ export const emailTemplates = {
     </div>
   `,
 
+  emailVerification: (username, verifyUrl) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3b82f6;">Verify Your Email Address</h2>
+      <p>Hello <strong>${username}</strong>,</p>
+      <p>Please confirm that this email address belongs to your TaskFlow account.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${verifyUrl}" style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Verify Email</a>
+      </div>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you didn't create a TaskFlow account, please ignore this email.</p>
+    </div>
+  `,
+
+  dataExportReady: (username, downloadUrl, expiresAt) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3b82f6;">Your Data Export Is Ready</h2>
+      <p>Hello <strong>${username}</strong>,</p>
+      <p>The copy of your TaskFlow data you requested has been generated.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${downloadUrl}" style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Download Export</a>
+      </div>
+      <p>The download will be available until ${new Date(expiresAt).toUTCString()}.</p>
+      <p>If you didn't request this export, please change your password.</p>
+    </div>
+  `,
+
+  taskReminder: (username, taskTitle, dueAt, familyName) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3b82f6;">Task Due Soon</h2>
+      <p>Hello <strong>${username}</strong>,</p>
+      <p>${familyName ? `Your <strong>${familyName}</strong> family task` : "Your task"} is due soon:</p>
+      <div style="background-color: #f3f4f6; padding: 16px; border-radius: 5px; margin: 20px 0;">
+        <strong>${taskTitle}</strong><br />
+        Due: ${dueAt}
+      </div>
+      <p>Log in to TaskFlow to mark it as completed.</p>
+    </div>
+  `,
+
+  familyMemberRemoved: (username, familyName) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3b82f6;">You Were Removed From a Family</h2>
+      <p>Hello <strong>${username}</strong>,</p>
+      <p>You are no longer a member of the <strong>${familyName}</strong> family on TaskFlow.</p>
+      <p>Your personal tasks are not affected. You can join another family with a new invitation code.</p>
+    </div>
+  `,
+
+  familyDisbanded: (username, familyName) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3b82f6;">Family Disbanded</h2>
+      <p>Hello <strong>${username}</strong>,</p>
+      <p>The <strong>${familyName}</strong> family has been disbanded by its owner, along with its family tasks.</p>
+      <p>Your personal tasks are not affected.</p>
+    </div>
+  `,
+
+  familyInvitation: (inviterName, familyName, invitationCode, joinUrl, expiresAt) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3b82f6;">You're Invited to a Family</h2>
+      <p>Hello,</p>
+      <p><strong>${inviterName}</strong> invited you to join the <strong>${familyName}</strong> family on TaskFlow.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${joinUrl}" style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Join Family</a>
+      </div>
+      <p>Or enter this invitation code in the app: <strong>${invitationCode}</strong></p>
+      ${expiresAt ? `<p>This invitation will expire on ${new Date(expiresAt).toUTCString()}.</p>` : ""}
+      <p>The invitation only works for a TaskFlow account with this email address. If you weren't expecting it, please ignore this email.</p>
+    </div>
+  `,
+
+  commentMention: (username, authorName, taskTitle, familyName, excerpt, taskUrl) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #3b82f6;">You Were Mentioned</h2>
+      <p>Hello <strong>${username}</strong>,</p>
+      <p><strong>${authorName}</strong> mentioned you on the <strong>${familyName}</strong> family task
+        <strong>${taskTitle}</strong>:</p>
+      <div style="background-color: #f3f4f6; padding: 16px; border-radius: 5px; margin: 20px 0; white-space: pre-wrap;">${excerpt}</div>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${taskUrl}" style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">View Discussion</a>
+      </div>
+    </div>
+  `,
+
   welcomeEmail: (username) => `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h2 style="color: #3b82f6;">Welcome to TaskFlow!</h2>
@@ -11,10 +11,48 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(50) UNIQUE NOT NULL,
     email VARCHAR(100) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
+    token_version INTEGER NOT NULL DEFAULT 0, -- bumped to invalidate previously issued JWTs
+    email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    email_verified_at TIMESTAMP,
+    totp_secret VARCHAR(64), -- base32, set on enrollment and kept while 2FA is enabled
+    totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_last_used_step BIGINT, -- last accepted TOTP time step, prevents code replay
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    rollover_mode VARCHAR(10) NOT NULL DEFAULT 'carry' CHECK (rollover_mode IN ('carry', 'archive')), -- unfinished tasks at week end
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA zone for "today" and week boundaries
+    week_start_day SMALLINT NOT NULL DEFAULT 0 CHECK (week_start_day IN (0, 1)), -- 0 = Sunday, 1 = Monday
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Upgrade: columns added to users after the original schema
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+-- Accounts that existed before email verification count as verified
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified'
+    ) THEN
+        ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+        UPDATE users SET email_verified = TRUE, email_verified_at = created_at;
+    END IF;
+END;
+$$;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rollover_mode VARCHAR(10) NOT NULL DEFAULT 'carry'
+    CHECK (rollover_mode IN ('carry', 'archive'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS week_start_day SMALLINT NOT NULL DEFAULT 0 CHECK (week_start_day IN (0, 1));
+
 -- Password reset tokens table
 CREATE TABLE IF NOT EXISTS password_reset_tokens (
     id SERIAL PRIMARY KEY,
@@ -25,24 +63,186 @@ CREATE TABLE IF NOT EXISTS password_reset_tokens (
     UNIQUE(user_id)
 );
 
+-- Email verification tokens table
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(255) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id)
+);
+
+-- Two-factor recovery codes (bcrypt hashed, single use)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login sessions; each one owns a family of rotating refresh tokens
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh tokens (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP, -- set once rotated; presenting it again revokes the session
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rate limit counters (used when RATE_LIMIT_STORE=postgres)
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key VARCHAR(255) PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMP NOT NULL
+);
+
 -- Families table
 CREATE TABLE IF NOT EXISTS families (
     id SERIAL PRIMARY KEY,
     name VARCHAR(100) NOT NULL,
     created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
-    invitation_code VARCHAR(10) UNIQUE NOT NULL,
+    rollover_mode VARCHAR(10) NOT NULL DEFAULT 'carry' CHECK (rollover_mode IN ('carry', 'archive')),
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    week_start_day SMALLINT NOT NULL DEFAULT 0 CHECK (week_start_day IN (0, 1)),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Upgrade: columns added to families after the original schema
+ALTER TABLE families ADD COLUMN IF NOT EXISTS rollover_mode VARCHAR(10) NOT NULL DEFAULT 'carry'
+    CHECK (rollover_mode IN ('carry', 'archive'));
+ALTER TABLE families ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+ALTER TABLE families ADD COLUMN IF NOT EXISTS week_start_day SMALLINT NOT NULL DEFAULT 0 CHECK (week_start_day IN (0, 1));
+
 -- Family members table
 CREATE TABLE IF NOT EXISTS family_members (
     id SERIAL PRIMARY KEY,
     family_id INTEGER REFERENCES families(id) ON DELETE CASCADE,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member', 'child')),
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(family_id, user_id)
 );
 
+-- Upgrade: add member roles, making each family's creator its owner
+ALTER TABLE family_members ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member'
+    CHECK (role IN ('owner', 'admin', 'member', 'child'));
+
+UPDATE family_members fm SET role = 'owner'
+FROM families f
+WHERE f.id = fm.family_id AND fm.user_id = f.created_by
+AND NOT EXISTS (SELECT 1 FROM family_members o WHERE o.family_id = fm.family_id AND o.role = 'owner');
+
+-- Family used when a request doesn't name one (users can belong to several)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS default_family_id INTEGER REFERENCES families(id) ON DELETE SET NULL;
+
+-- Invitations to join a family. Only a hash of the code is stored; an invitation
+-- with an email can only be redeemed by that user.
+CREATE TABLE IF NOT EXISTS family_invitations (
+    id SERIAL PRIMARY KEY,
+    family_id INTEGER NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) UNIQUE NOT NULL,
+    email VARCHAR(255),
+    max_uses INTEGER CHECK (max_uses > 0), -- NULL = unlimited
+    use_count INTEGER NOT NULL DEFAULT 0,
+    requires_approval BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at TIMESTAMP, -- NULL = never
+    revoked_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Join requests waiting for an owner or admin (invitations with requires_approval)
+CREATE TABLE IF NOT EXISTS family_join_requests (
+    id SERIAL PRIMARY KEY,
+    family_id INTEGER NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    invitation_id INTEGER REFERENCES family_invitations(id) ON DELETE SET NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upgrade: families used to have one permanent invitation code. Each one becomes a
+-- shareable invitation that keeps working for 30 days, then the column goes away.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'families' AND column_name = 'invitation_code'
+    ) THEN
+        INSERT INTO family_invitations (family_id, code_hash, expires_at, created_by)
+        SELECT id, encode(sha256(convert_to(UPPER(invitation_code), 'UTF8')), 'hex'),
+            CURRENT_TIMESTAMP + INTERVAL '30 days', created_by
+        FROM families
+        ON CONFLICT (code_hash) DO NOTHING;
+
+        ALTER TABLE families DROP COLUMN invitation_code;
+    END IF;
+END;
+$$;
+
+-- Recurring task series; each occurrence is materialized as a task row.
+-- Personal series set user_id, family series set family_id.
+CREATE TABLE IF NOT EXISTS task_series (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    family_id INTEGER REFERENCES families(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    priority INTEGER DEFAULT 1 CHECK (priority IN (1, 2, 3)),
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    repeat_interval INTEGER NOT NULL DEFAULT 1 CHECK (repeat_interval >= 1),
+    by_weekday SMALLINT[], -- weekly: 0=Sunday ... 6=Saturday
+    by_month_day SMALLINT CHECK (by_month_day BETWEEN 1 AND 31), -- monthly
+    starts_on DATE NOT NULL,
+    until_date DATE,
+    occurrence_count INTEGER CHECK (occurrence_count > 0),
+    skipped_dates DATE[] NOT NULL DEFAULT '{}',
+    last_occurrence DATE, -- latest occurrence already generated
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((user_id IS NULL) <> (family_id IS NULL))
+);
+
+-- Upgrade: a family series used to be deleted along with its creator or assignee
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'task_series_created_by_fkey' AND confdeltype = 'c'
+    ) THEN
+        ALTER TABLE task_series DROP CONSTRAINT task_series_created_by_fkey,
+            ADD CONSTRAINT task_series_created_by_fkey FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'task_series_assigned_to_fkey' AND confdeltype = 'c'
+    ) THEN
+        ALTER TABLE task_series DROP CONSTRAINT task_series_assigned_to_fkey,
+            ADD CONSTRAINT task_series_assigned_to_fkey FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL;
+    END IF;
+END;
+$$;
+
 -- Personal tasks table
 CREATE TABLE IF NOT EXISTS tasks (
     id SERIAL PRIMARY KEY,
@@ -53,6 +253,13 @@ CREATE TABLE IF NOT EXISTS tasks (
     status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
     assigned_to INTEGER REFERENCES users(id),
     week_start DATE NOT NULL,
+    due_at TIMESTAMPTZ,
+    reminder_sent_at TIMESTAMP,
+    series_id INTEGER REFERENCES task_series(id) ON DELETE SET NULL,
+    occurrence_date DATE,
+    carry_over_count INTEGER NOT NULL DEFAULT 0, -- weeks this task was carried forward unfinished
+    version INTEGER NOT NULL DEFAULT 1, -- bumped when the task's content changes, exposed as the ETag
+    checklist_auto_complete BOOLEAN NOT NULL DEFAULT FALSE, -- complete the task once every checklist item is checked
     archived BOOLEAN DEFAULT FALSE,
     archived_at TIMESTAMP,
     completed_at TIMESTAMP,
@@ -60,6 +267,15 @@ CREATE TABLE IF NOT EXISTS tasks (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Upgrade: columns added to tasks after the original schema
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES task_series(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS carry_over_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS checklist_auto_complete BOOLEAN NOT NULL DEFAULT FALSE;
+
 -- Family tasks table
 CREATE TABLE IF NOT EXISTS family_tasks (
     id SERIAL PRIMARY KEY,
@@ -71,11 +287,125 @@ CREATE TABLE IF NOT EXISTS family_tasks (
     status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
     assigned_to INTEGER REFERENCES users(id) ON DELETE CASCADE,
     week_start DATE NOT NULL,
+    due_at TIMESTAMPTZ,
+    reminder_sent_at TIMESTAMP,
+    series_id INTEGER REFERENCES task_series(id) ON DELETE SET NULL,
+    occurrence_date DATE,
+    carry_over_count INTEGER NOT NULL DEFAULT 0,
+    version INTEGER NOT NULL DEFAULT 1,
+    checklist_auto_complete BOOLEAN NOT NULL DEFAULT FALSE,
+    archived BOOLEAN DEFAULT FALSE,
+    archived_at TIMESTAMP,
     completed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Upgrade: columns added to family_tasks after the original schema
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ;
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP;
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES task_series(id) ON DELETE SET NULL;
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS carry_over_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS archived BOOLEAN DEFAULT FALSE;
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE family_tasks ADD COLUMN IF NOT EXISTS checklist_auto_complete BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Checklist items (subtasks) of a personal or a family task
+CREATE TABLE IF NOT EXISTS checklist_items (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    family_task_id INTEGER REFERENCES family_tasks(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_checked BOOLEAN NOT NULL DEFAULT FALSE,
+    checked_at TIMESTAMP,
+    checked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((task_id IS NULL) <> (family_task_id IS NULL))
+);
+
+-- Discussion threads on family tasks; parent_id points at the comment being replied to
+CREATE TABLE IF NOT EXISTS task_comments (
+    id SERIAL PRIMARY KEY,
+    family_task_id INTEGER NOT NULL REFERENCES family_tasks(id) ON DELETE CASCADE,
+    parent_id INTEGER REFERENCES task_comments(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT, -- NULL once deleted (kept while it has replies)
+    edited_at TIMESTAMP,
+    deleted_at TIMESTAMP,
+    deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Who a comment @mentioned, so edits only notify newly mentioned members
+CREATE TABLE IF NOT EXISTS comment_mentions (
+    comment_id INTEGER REFERENCES task_comments(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (comment_id, user_id)
+);
+
+-- Tags: personal ones belong to a user, shared ones to a family
+CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    family_id INTEGER REFERENCES families(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(7), -- #rrggbb
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((user_id IS NULL) <> (family_id IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS task_tags (
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (task_id, tag_id)
+);
+
+CREATE TABLE IF NOT EXISTS family_task_tags (
+    family_task_id INTEGER REFERENCES family_tasks(id) ON DELETE CASCADE,
+    tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (family_task_id, tag_id)
+);
+
+-- Personal data exports generated in the background
+CREATE TABLE IF NOT EXISTS data_exports (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('json', 'zip')),
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'ready', 'failed')),
+    file_name VARCHAR(255),
+    content_type VARCHAR(100),
+    file_data BYTEA,
+    error TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upgrade: track generation attempts, so exports interrupted by a restart are retried
+-- (or given up on) by the stale-exports job
+ALTER TABLE data_exports ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+ALTER TABLE data_exports ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+
+-- History of background job runs (see jobs/scheduler.js)
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    trigger VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    result JSONB,
+    error TEXT,
+    duration_ms INTEGER,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_week_start ON tasks(week_start);
@@ -83,10 +413,44 @@ CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
 CREATE INDEX IF NOT EXISTS idx_tasks_assigned_to ON tasks(assigned_to);
 CREATE INDEX IF NOT EXISTS idx_family_members_user_id ON family_members(user_id);
 CREATE INDEX IF NOT EXISTS idx_family_members_family_id ON family_members(family_id);
+CREATE INDEX IF NOT EXISTS idx_family_invitations_family_id ON family_invitations(family_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_family_join_requests_pending ON family_join_requests(family_id, user_id) WHERE status = 'pending';
+-- Exactly one owner per family (families.created_by mirrors it)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_family_members_owner ON family_members(family_id) WHERE role = 'owner';
 CREATE INDEX IF NOT EXISTS idx_family_tasks_family_id ON family_tasks(family_id);
 CREATE INDEX IF NOT EXISTS idx_family_tasks_assigned_to ON family_tasks(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_family_tasks_week_start ON family_tasks(week_start);
+CREATE INDEX IF NOT EXISTS idx_tasks_archived_at ON tasks(user_id, archived_at) WHERE archived = TRUE;
+CREATE INDEX IF NOT EXISTS idx_family_tasks_archived_at ON family_tasks(family_id, archived_at) WHERE archived = TRUE;
+-- Full-text search over title and description (expression must match utils/taskQuery.js)
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks
+    USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+CREATE INDEX IF NOT EXISTS idx_family_tasks_search ON family_tasks
+    USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+CREATE INDEX IF NOT EXISTS idx_tasks_due_at ON tasks(due_at) WHERE due_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_family_tasks_due_at ON family_tasks(due_at) WHERE due_at IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_series_occurrence ON tasks(series_id, occurrence_date);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_family_tasks_series_occurrence ON family_tasks(series_id, occurrence_date);
+CREATE INDEX IF NOT EXISTS idx_task_series_user_id ON task_series(user_id);
+CREATE INDEX IF NOT EXISTS idx_task_series_family_id ON task_series(family_id);
 CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_token ON password_reset_tokens(token);
 CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_expires ON password_reset_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_token ON email_verification_tokens(token);
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
+CREATE INDEX IF NOT EXISTS idx_data_exports_user_id ON data_exports(user_id);
+CREATE INDEX IF NOT EXISTS idx_checklist_items_task_id ON checklist_items(task_id, position) WHERE task_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_checklist_items_family_task_id ON checklist_items(family_task_id, position) WHERE family_task_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, LOWER(name)) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_family_name ON tags(family_id, LOWER(name)) WHERE family_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_family_task_tags_tag_id ON family_task_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_task_comments_family_task_id ON task_comments(family_task_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_task_comments_parent_id ON task_comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_name ON job_runs(job_name, started_at DESC);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -107,14 +471,66 @@ CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks
 CREATE TRIGGER update_family_tasks_updated_at BEFORE UPDATE ON family_tasks
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_task_series_updated_at BEFORE UPDATE ON task_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_checklist_items_updated_at BEFORE UPDATE ON checklist_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_task_comments_updated_at BEFORE UPDATE ON task_comments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Optimistic concurrency: every change to what a task says gets a new version (and ETag).
+-- Bookkeeping such as reminder_sent_at or updated_at alone doesn't, so a background
+-- job touching a task doesn't make clients' ETags stale.
+CREATE OR REPLACE FUNCTION bump_row_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version = OLD.version + 1;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER bump_tasks_version BEFORE UPDATE ON tasks
+    FOR EACH ROW
+    WHEN ((OLD.title, OLD.description, OLD.priority, OLD.status, OLD.week_start, OLD.due_at, OLD.completed_at,
+            OLD.carry_over_count, OLD.checklist_auto_complete, OLD.archived)
+        IS DISTINCT FROM (NEW.title, NEW.description, NEW.priority, NEW.status, NEW.week_start, NEW.due_at,
+            NEW.completed_at, NEW.carry_over_count, NEW.checklist_auto_complete, NEW.archived))
+    EXECUTE FUNCTION bump_row_version();
+
+CREATE TRIGGER bump_family_tasks_version BEFORE UPDATE ON family_tasks
+    FOR EACH ROW
+    WHEN ((OLD.title, OLD.description, OLD.priority, OLD.status, OLD.assigned_to, OLD.week_start, OLD.due_at,
+            OLD.completed_at, OLD.carry_over_count, OLD.checklist_auto_complete, OLD.archived)
+        IS DISTINCT FROM (NEW.title, NEW.description, NEW.priority, NEW.status, NEW.assigned_to, NEW.week_start,
+            NEW.due_at, NEW.completed_at, NEW.carry_over_count, NEW.checklist_auto_complete, NEW.archived))
+    EXECUTE FUNCTION bump_row_version();
+
+-- First day of the current week in a time zone (week_start_day: 0 = Sunday, 1 = Monday)
+CREATE OR REPLACE FUNCTION local_week_start(tz TEXT, week_start_day INTEGER)
+RETURNS DATE AS $$
+    SELECT (now() AT TIME ZONE tz)::date
+        - ((EXTRACT(DOW FROM now() AT TIME ZONE tz)::integer - week_start_day + 7) % 7);
+$$ LANGUAGE sql STABLE;
+
+-- Move a week_start onto other week boundaries, keeping the week it mostly overlaps
+CREATE OR REPLACE FUNCTION align_week_start(week_start DATE, week_start_day INTEGER)
+RETURNS DATE AS $$
+    SELECT (week_start + 3) - ((EXTRACT(DOW FROM week_start + 3)::integer - week_start_day + 7) % 7);
+$$ LANGUAGE sql IMMUTABLE;
+
 -- Function to automatically archive old tasks
 CREATE OR REPLACE FUNCTION archive_old_tasks()
 RETURNS void AS $$
 BEGIN
-    UPDATE tasks 
+    -- Archive tasks from before last week, by each user's own calendar
+    UPDATE tasks t
     SET archived = TRUE, archived_at = CURRENT_TIMESTAMP
-    WHERE week_start < (CURRENT_DATE - INTERVAL '7 days')
-    AND archived = FALSE;
+    FROM users u
+    WHERE u.id = t.user_id
+    AND t.week_start < local_week_start(u.timezone, u.week_start_day) - 7
+    AND t.archived = FALSE;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -145,12 +561,12 @@ SELECT
     u.id as user_id,
     u.username,
     ft.week_start,
-    COUNT(*) as total_tasks,
+    COUNT(ft.id) as total_tasks,
     COUNT(CASE WHEN ft.status = 'completed' THEN 1 END) as completed_tasks,
     COUNT(CASE WHEN ft.status = 'pending' THEN 1 END) as pending_tasks,
     ROUND(
         (COUNT(CASE WHEN ft.status = 'completed' THEN 1 END) * 100.0) / 
-        NULLIF(COUNT(*), 0), 2
+        NULLIF(COUNT(ft.id), 0), 2
     ) as completion_percentage
 FROM families f
 JOIN family_members fm ON f.id = fm.family_id
@@ -168,9 +584,18 @@ CREATE OR REPLACE FUNCTION cleanup_expired_tokens()
 RETURNS void AS $$
 BEGIN
     DELETE FROM password_reset_tokens WHERE expires_at < CURRENT_TIMESTAMP;
+    DELETE FROM email_verification_tokens WHERE expires_at < CURRENT_TIMESTAMP;
+    DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP;
+    DELETE FROM rate_limits WHERE reset_at < CURRENT_TIMESTAMP;
+    DELETE FROM data_exports WHERE expires_at < CURRENT_TIMESTAMP;
+    DELETE FROM job_runs WHERE started_at < CURRENT_TIMESTAMP - INTERVAL '90 days';
+    DELETE FROM family_invitations WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+        OR revoked_at < CURRENT_TIMESTAMP - INTERVAL '30 days';
+    DELETE FROM user_sessions WHERE revoked_at < CURRENT_TIMESTAMP - INTERVAL '30 days';
 END;
 $$ LANGUAGE plpgsql;
 
--- You can set up a cron job to run this periodically:
+-- Both functions are run by the built-in job scheduler (jobs/index.js);
+-- see GET /api/admin/jobs. To run them by hand:
 -- SELECT cleanup_expired_tokens();
 -- SELECT archive_old_tasks();
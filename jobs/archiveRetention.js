@@ -0,0 +1,19 @@
+// Background job: permanently delete tasks that have been archived for too long
+import { ARCHIVE_RETENTION_DAYS, purgeExpiredArchives } from "../utils/archive.js"
+
+export const purgeArchivedTasks = async () => {
+  // ARCHIVE_RETENTION_DAYS=0 keeps archived tasks forever
+  if (ARCHIVE_RETENTION_DAYS === 0) {
+    return { retention_days: 0, skipped: true }
+  }
+
+  const counts = await purgeExpiredArchives(ARCHIVE_RETENTION_DAYS)
+
+  if (counts.tasks > 0 || counts.family_tasks > 0) {
+    console.log("🗑️ Expired archived tasks purged:", counts)
+  }
+
+  return { retention_days: ARCHIVE_RETENTION_DAYS, ...counts }
+}
+
+export default { purgeArchivedTasks }
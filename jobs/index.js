@@ -0,0 +1,72 @@
+// Registers every background job with the scheduler
+import { query } from "../config/database.js"
+import { registerJob, startScheduler } from "./scheduler.js"
+import { sendTaskReminders } from "./taskReminders.js"
+import { generateRecurringTasks } from "./recurringTasks.js"
+import { weeklyRollover } from "./weeklyRollover.js"
+import { purgeArchivedTasks } from "./archiveRetention.js"
+import { retryStaleExports } from "./staleExports.js"
+
+registerJob({
+  name: "cleanup-expired-tokens",
+  schedule: "0 * * * *",
+  description: "Delete expired reset/verification/refresh tokens, rate limit counters and data exports",
+  handler: async () => {
+    await query("SELECT cleanup_expired_tokens()")
+  },
+})
+
+registerJob({
+  name: "archive-old-tasks",
+  schedule: "30 3 * * *",
+  description: "Archive personal tasks from weeks older than last week",
+  handler: async () => {
+    await query("SELECT archive_old_tasks()")
+  },
+})
+
+registerJob({
+  name: "task-reminders",
+  schedule: "*/5 * * * *",
+  description: "Email assignees before their tasks are due",
+  handler: async () => ({ sent: await sendTaskReminders() }),
+})
+
+registerJob({
+  name: "weekly-rollover",
+  schedule: "5 * * * *",
+  description: "Archive finished tasks and carry unfinished ones into the new week",
+  handler: weeklyRollover,
+})
+
+registerJob({
+  name: "recurring-tasks",
+  schedule: "10 * * * *",
+  description: "Generate this week's occurrences of recurring tasks",
+  handler: async () => ({ created: await generateRecurringTasks() }),
+})
+
+registerJob({
+  name: "archive-retention",
+  schedule: "45 3 * * *",
+  description: "Permanently delete tasks archived longer than ARCHIVE_RETENTION_DAYS",
+  handler: purgeArchivedTasks,
+})
+
+registerJob({
+  name: "stale-exports",
+  schedule: "*/10 * * * *",
+  description: "Retry background data exports interrupted by a restart, or mark them failed",
+  handler: retryStaleExports,
+})
+
+// JOBS_ENABLED=false turns the scheduler off on an instance (manual runs still work)
+export const startJobs = () => {
+  if (process.env.JOBS_ENABLED === "false") {
+    console.log("🗓️ Job scheduler disabled (JOBS_ENABLED=false)")
+    return
+  }
+  startScheduler()
+}
+
+export default { startJobs }
@@ -0,0 +1,14 @@
+// Background job: generate this week's occurrences of recurring task series
+import { generateCurrentWeekOccurrences } from "../utils/taskSeries.js"
+
+export const generateRecurringTasks = async () => {
+  const created = await generateCurrentWeekOccurrences()
+
+  if (created > 0) {
+    console.log("🔁 Recurring tasks generated:", created)
+  }
+
+  return created
+}
+
+export default { generateRecurringTasks }
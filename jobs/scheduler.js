@@ -0,0 +1,157 @@
+// In-process job scheduler.
+// Jobs run on cron schedules; a Postgres advisory lock makes sure only one
+// server instance runs a given job at a time, and every run is recorded in job_runs.
+import { pool, query } from "../config/database.js"
+import { parseCron, getNextRun } from "../utils/cron.js"
+
+// First key of the two-key advisory lock, keeps job locks apart from any others
+const LOCK_NAMESPACE = 7301
+const MAX_TIMER_MS = 60 * 1000
+
+const jobs = new Map()
+let timer = null
+
+/**
+ * Register a named job.
+ * @param {{ name: string, schedule: string, description?: string, handler: () => Promise<any> }} job
+ */
+export const registerJob = ({ name, schedule, description = "", handler }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`)
+  }
+
+  const parsedSchedule = parseCron(schedule)
+
+  jobs.set(name, {
+    name,
+    schedule,
+    description,
+    handler,
+    parsedSchedule,
+    nextRunAt: getNextRun(parsedSchedule),
+    running: false,
+  })
+}
+
+export const getJob = (name) => jobs.get(name)
+
+export const listJobs = () => {
+  return [...jobs.values()].map(({ name, schedule, description, nextRunAt, running }) => ({
+    name,
+    schedule,
+    description,
+    next_run_at: nextRunAt,
+    running,
+  }))
+}
+
+/**
+ * Run a job now, if no other instance holds its lock.
+ * Returns the job_runs row, or null when the job was already running elsewhere.
+ */
+export const runJob = async (name, { trigger = "schedule", triggeredBy = null } = {}) => {
+  const job = jobs.get(name)
+
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`)
+  }
+
+  // Advisory locks belong to a connection, so hold one client for the whole run
+  const client = await pool.connect()
+
+  try {
+    const lockResult = await client.query("SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked", [
+      LOCK_NAMESPACE,
+      name,
+    ])
+
+    if (!lockResult.rows[0].locked) {
+      return null
+    }
+
+    job.running = true
+
+    try {
+      const runResult = await query(
+        "INSERT INTO job_runs (job_name, trigger, triggered_by) VALUES ($1, $2, $3) RETURNING id, started_at",
+        [name, trigger, triggeredBy],
+      )
+      const run = runResult.rows[0]
+      const startedAt = Date.now()
+
+      let status = "succeeded"
+      let output = null
+      let errorMessage = null
+
+      try {
+        output = (await job.handler()) ?? null
+      } catch (error) {
+        status = "failed"
+        errorMessage = error.message
+        console.error(`❌ Job "${name}" failed:`, error.message)
+      }
+
+      const finishedResult = await query(
+        `UPDATE job_runs
+         SET status = $1, result = $2, error = $3, finished_at = CURRENT_TIMESTAMP, duration_ms = $4
+         WHERE id = $5
+         RETURNING *`,
+        [status, JSON.stringify(output), errorMessage, Date.now() - startedAt, run.id],
+      )
+
+      return finishedResult.rows[0]
+    } finally {
+      job.running = false
+      await client.query("SELECT pg_advisory_unlock($1, hashtext($2))", [LOCK_NAMESPACE, name])
+    }
+  } finally {
+    client.release()
+  }
+}
+
+// Run every job whose time has come, then sleep until the next one is due
+const tick = async () => {
+  const now = new Date()
+
+  for (const job of jobs.values()) {
+    if (!job.nextRunAt || job.nextRunAt > now) continue
+
+    job.nextRunAt = getNextRun(job.parsedSchedule, now)
+
+    // Still busy with the previous run on this instance
+    if (job.running) continue
+
+    runJob(job.name).catch((error) => console.error(`❌ Job "${job.name}" could not run:`, error.message))
+  }
+
+  scheduleTick()
+}
+
+const scheduleTick = () => {
+  const nextRuns = [...jobs.values()].map((job) => job.nextRunAt).filter(Boolean)
+  const soonest = nextRuns.length > 0 ? Math.min(...nextRuns.map((date) => date.getTime())) : Date.now() + MAX_TIMER_MS
+
+  // Wake up at least once a minute so clock changes can't stall the scheduler
+  const delay = Math.min(Math.max(soonest - Date.now(), 0), MAX_TIMER_MS)
+
+  timer = setTimeout(tick, delay)
+  timer.unref()
+}
+
+export const startScheduler = () => {
+  if (timer) return
+
+  for (const job of jobs.values()) {
+    job.nextRunAt = getNextRun(job.parsedSchedule)
+  }
+
+  scheduleTick()
+  console.log(`🗓️ Job scheduler started with ${jobs.size} jobs:`, [...jobs.keys()].join(", "))
+}
+
+export const stopScheduler = () => {
+  clearTimeout(timer)
+  timer = null
+}
+
+export default { registerJob, getJob, listJobs, runJob, startScheduler, stopScheduler }
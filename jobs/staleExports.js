@@ -0,0 +1,48 @@
+// Background job: pick up data exports that were queued or started but never finished,
+// e.g. because the server restarted while generating them in the background
+import { query } from "../config/database.js"
+import { envInt } from "../middleware/rateLimit.js"
+import { generateExport } from "../utils/dataExport.js"
+
+const EXPORT_STALE_MINUTES = envInt("EXPORT_STALE_MINUTES", 15)
+const MAX_EXPORT_ATTEMPTS = 3
+const BATCH_SIZE = 10
+
+export const retryStaleExports = async () => {
+  // Give up on exports that keep failing to finish
+  const failed = await query(
+    `UPDATE data_exports
+     SET status = 'failed', error = 'Export could not be generated', completed_at = CURRENT_TIMESTAMP
+     WHERE status = 'pending' AND attempts >= $1
+       AND COALESCE(started_at, created_at) < CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute'
+     RETURNING id`,
+    [MAX_EXPORT_ATTEMPTS, EXPORT_STALE_MINUTES],
+  )
+
+  // Claim the rest by stamping started_at, so concurrent runs don't retry the same export
+  const claimed = await query(
+    `UPDATE data_exports SET started_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM data_exports
+       WHERE status = 'pending' AND attempts < $1
+         AND COALESCE(started_at, created_at) < CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute'
+       ORDER BY created_at
+       LIMIT ${BATCH_SIZE}
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id`,
+    [MAX_EXPORT_ATTEMPTS, EXPORT_STALE_MINUTES],
+  )
+
+  for (const { id } of claimed.rows) {
+    await generateExport(id)
+  }
+
+  if (failed.rows.length > 0 || claimed.rows.length > 0) {
+    console.log("📦 Stale data exports handled:", { retried: claimed.rows.length, failed: failed.rows.length })
+  }
+
+  return { retried: claimed.rows.length, failed: failed.rows.length }
+}
+
+export default { retryStaleExports }
@@ -0,0 +1,76 @@
+// Background job: email assignees before their tasks are due
+import { query } from "../config/database.js"
+import { sendEmail, emailTemplates } from "../config/email.js"
+import { envInt } from "../middleware/rateLimit.js"
+import { escapeHtml, formatDateTime } from "../utils/helpers.js"
+
+const REMINDER_LEAD_MINUTES = envInt("TASK_REMINDER_LEAD_MINUTES", 60)
+const BATCH_SIZE = 100
+
+// Claim due-soon tasks by stamping reminder_sent_at first, so concurrent
+// runs (or several server instances) never email the same reminder twice
+const claimPersonalReminders = async () => {
+  const result = await query(
+    `UPDATE tasks t SET reminder_sent_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE t.id IN (
+       SELECT id FROM tasks
+       WHERE status = 'pending' AND archived = FALSE AND reminder_sent_at IS NULL
+         AND due_at > CURRENT_TIMESTAMP
+         AND due_at <= CURRENT_TIMESTAMP + $1 * INTERVAL '1 minute'
+       ORDER BY due_at
+       LIMIT ${BATCH_SIZE}
+       FOR UPDATE SKIP LOCKED
+     )
+     AND u.id = COALESCE(t.assigned_to, t.user_id)
+     RETURNING t.id, t.title, t.due_at, u.username, u.email, u.timezone`,
+    [REMINDER_LEAD_MINUTES],
+  )
+  return result.rows
+}
+
+const claimFamilyReminders = async () => {
+  const result = await query(
+    `UPDATE family_tasks ft SET reminder_sent_at = CURRENT_TIMESTAMP
+     FROM users u, families f
+     WHERE ft.id IN (
+       SELECT id FROM family_tasks
+       WHERE status = 'pending' AND archived = FALSE AND reminder_sent_at IS NULL
+         AND due_at > CURRENT_TIMESTAMP
+         AND due_at <= CURRENT_TIMESTAMP + $1 * INTERVAL '1 minute'
+       ORDER BY due_at
+       LIMIT ${BATCH_SIZE}
+       FOR UPDATE SKIP LOCKED
+     )
+     AND u.id = ft.assigned_to AND f.id = ft.family_id
+     RETURNING ft.id, ft.title, ft.due_at, u.username, u.email, u.timezone, f.name as family_name`,
+    [REMINDER_LEAD_MINUTES],
+  )
+  return result.rows
+}
+
+// Send every pending reminder; returns the number of emails sent
+export const sendTaskReminders = async () => {
+  const reminders = [...(await claimPersonalReminders()), ...(await claimFamilyReminders())]
+
+  for (const reminder of reminders) {
+    await sendEmail(
+      reminder.email,
+      `Reminder: "${reminder.title}" is due soon - TaskFlow`,
+      emailTemplates.taskReminder(
+        escapeHtml(reminder.username),
+        escapeHtml(reminder.title),
+        formatDateTime(reminder.due_at, reminder.timezone),
+        reminder.family_name && escapeHtml(reminder.family_name),
+      ),
+    )
+  }
+
+  if (reminders.length > 0) {
+    console.log("⏰ Task reminders sent:", reminders.length)
+  }
+
+  return reminders.length
+}
+
+export default { sendTaskReminders }
@@ -0,0 +1,14 @@
+// Background job: weekly rollover of personal and family tasks
+import { runWeeklyRollover } from "../utils/rollover.js"
+
+export const weeklyRollover = async () => {
+  const totals = await runWeeklyRollover()
+
+  if (totals.users > 0 || totals.families > 0) {
+    console.log("📅 Weekly rollover complete:", totals)
+  }
+
+  return totals
+}
+
+export default { weeklyRollover }
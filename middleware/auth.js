@@ -1,7 +1,10 @@
 // Authentication middleware
 import jwt from "jsonwebtoken"
+import { query } from "../config/database.js"
 
 const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret_key_here_change_this_in_production"
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"
+const CHALLENGE_TOKEN_TTL = "5m"
 
 // Middleware to verify JWT token
 export const authenticateToken = (req, res, next) => {
@@ -12,29 +15,94 @@ export const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: "Access token required" })
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
       console.error("🔒 Token verification failed:", err.message)
       return res.status(403).json({ error: "Invalid or expired token" })
     }
-    req.user = user
-    next()
+
+    // Challenge tokens (and other purpose-bound tokens) are not access tokens
+    if (!user.sid || user.purpose) {
+      return res.status(403).json({ error: "Invalid or expired token" })
+    }
+
+    try {
+      // Tokens issued before a password reset carry a stale token_version,
+      // and tokens from a logged out session point at a revoked session
+      const result = await query(
+        `SELECT u.token_version, u.email_verified, u.is_admin, u.timezone, u.week_start_day, s.revoked_at
+         FROM users u
+         JOIN user_sessions s ON s.user_id = u.id
+         WHERE u.id = $1 AND s.id = $2`,
+        [user.id, user.sid],
+      )
+
+      if (result.rows.length === 0 || result.rows[0].token_version !== (user.tv ?? 0)) {
+        return res.status(403).json({ error: "Invalid or expired token" })
+      }
+
+      if (result.rows[0].revoked_at) {
+        return res.status(401).json({ error: "Session has been revoked" })
+      }
+
+      // Record activity on the session, at most once a minute
+      await query(
+        `UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute'`,
+        [user.sid],
+      )
+
+      const { email_verified, is_admin, timezone, week_start_day } = result.rows[0]
+      req.user = { ...user, email_verified, is_admin, timezone, week_start_day }
+      next()
+    } catch (error) {
+      next(error)
+    }
   })
 }
 
-// Generate JWT token
-export const generateToken = (user) => {
+// Block sensitive actions until the user's email address is verified.
+// Must run after authenticateToken.
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.email_verified) {
+    return res.status(403).json({ error: "Please verify your email address first", code: "EMAIL_NOT_VERIFIED" })
+  }
+  next()
+}
+
+// Restrict a route to administrators. Must run after authenticateToken.
+export const requireAdmin = (req, res, next) => {
+  if (!req.user?.is_admin) {
+    return res.status(403).json({ error: "Administrator access required" })
+  }
+  next()
+}
+
+// Generate a short-lived access token bound to a session
+export const generateToken = (user, sessionId) => {
   return jwt.sign(
     {
       id: user.id,
       username: user.username,
       email: user.email,
+      tv: user.token_version ?? 0,
+      sid: sessionId,
     },
     JWT_SECRET,
-    { expiresIn: "24h" },
+    { expiresIn: ACCESS_TOKEN_TTL },
   )
 }
 
+// Short-lived token proving the password step of a two-factor login
+export const generateChallengeToken = (user) => {
+  return jwt.sign({ id: user.id, purpose: "2fa" }, JWT_SECRET, { expiresIn: CHALLENGE_TOKEN_TTL })
+}
+
+export const verifyChallengeToken = (token) => {
+  const payload = verifyToken(token)
+  return payload?.purpose === "2fa" ? payload : null
+}
+
 // Verify token without middleware (for utilities)
 export const verifyToken = (token) => {
   try {
@@ -44,4 +112,12 @@ export const verifyToken = (token) => {
   }
 }
 
-export default { authenticateToken, generateToken, verifyToken }
+export default {
+  authenticateToken,
+  requireVerifiedEmail,
+  requireAdmin,
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  verifyToken,
+}
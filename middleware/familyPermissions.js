@@ -0,0 +1,154 @@
+// Family roles and the permissions each of them grants
+import { query } from "../config/database.js"
+
+// Highest first; a role can only manage roles below its own
+export const FAMILY_ROLES = ["owner", "admin", "member", "child"]
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    "family:settings",
+    "family:transfer",
+    "family:disband",
+    "members:roles",
+    "members:invite",
+    "members:remove",
+    "tasks:create",
+    "tasks:manage",
+    "tasks:update_assigned",
+    "tasks:complete_assigned",
+    "tags:create",
+    "tags:manage",
+    "comments:moderate",
+  ],
+  admin: [
+    "family:settings",
+    "members:roles",
+    "members:invite",
+    "members:remove",
+    "tasks:create",
+    "tasks:manage",
+    "tasks:update_assigned",
+    "tasks:complete_assigned",
+    "tags:create",
+    "tags:manage",
+    "comments:moderate",
+  ],
+  member: ["tasks:create", "tasks:update_assigned", "tasks:complete_assigned", "tags:create"],
+  child: ["tasks:complete_assigned"],
+}
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || []
+
+export const hasFamilyPermission = (role, permission) => getRolePermissions(role).includes(permission)
+
+// Whether `role` outranks `otherRole` (owner > admin > member > child)
+export const outranks = (role, otherRole) => FAMILY_ROLES.indexOf(role) < FAMILY_ROLES.indexOf(otherRole)
+
+/**
+ * How a member may change a task:
+ *   "manage"   any field of any task
+ *   "update"   any field of a task assigned to them (except reassigning it)
+ *   "complete" only the status of a task assigned to them
+ *   null       not at all
+ */
+export const getTaskAccess = (role, task, userId) => {
+  if (hasFamilyPermission(role, "tasks:manage")) return "manage"
+  if (task.assigned_to !== userId) return null
+  if (hasFamilyPermission(role, "tasks:update_assigned")) return "update"
+  if (hasFamilyPermission(role, "tasks:complete_assigned")) return "complete"
+  return null
+}
+
+/**
+ * Read the family a request names, from ?family_id or the X-Family-Id header,
+ * into req.familyId (null when it names none).
+ */
+export const parseFamilyId = (req, res, next) => {
+  const value = req.query.family_id ?? req.get("X-Family-Id")
+
+  if (value === undefined) {
+    req.familyId = null
+    return next()
+  }
+
+  const familyId = Number(value)
+
+  if (!Number.isInteger(familyId) || familyId < 1) {
+    return res.status(400).json({ error: "Invalid family ID format" })
+  }
+
+  req.familyId = familyId
+  next()
+}
+
+/**
+ * The family a request is about, with the user's role in it (family.role).
+ * Uses the family the request names, else the user's default family, else
+ * their only family. Returns { family } or { status, error }.
+ */
+export const resolveFamily = async (req, client = { query }) => {
+  const result = await client.query(
+    `SELECT f.*, fm.role, (f.id = u.default_family_id) IS TRUE as is_default
+     FROM families f
+     JOIN family_members fm ON f.id = fm.family_id
+     JOIN users u ON fm.user_id = u.id
+     WHERE fm.user_id = $1 AND ($2::int IS NULL OR f.id = $2)
+     ORDER BY is_default DESC, fm.joined_at
+     LIMIT 2`,
+    [req.user.id, req.familyId ?? null],
+  )
+  const [first, second] = result.rows
+
+  if (!first) {
+    return req.familyId
+      ? { status: 404, error: "Family not found" }
+      : { status: 404, error: "You are not part of any family" }
+  }
+
+  if (!req.familyId && !first.is_default && second) {
+    return { status: 400, error: "You belong to several families. Choose one with family_id or X-Family-Id." }
+  }
+
+  return { family: first }
+}
+
+/**
+ * Load the family the request is about into req.family (with req.family.role) and
+ * check that the user's role grants every listed permission.
+ * Must run after authenticateToken and parseFamilyId.
+ */
+export const requireFamilyPermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      const { family, status, error } = await resolveFamily(req)
+
+      if (error) {
+        return res.status(status).json({ error })
+      }
+
+      if (!permissions.every((permission) => hasFamilyPermission(family.role, permission))) {
+        return res.status(403).json({ error: "Your family role does not allow this action" })
+      }
+
+      req.family = family
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+// Any member of a family
+export const requireFamilyMember = requireFamilyPermission()
+
+export default {
+  FAMILY_ROLES,
+  getRolePermissions,
+  hasFamilyPermission,
+  outranks,
+  getTaskAccess,
+  parseFamilyId,
+  resolveFamily,
+  requireFamilyPermission,
+  requireFamilyMember,
+}
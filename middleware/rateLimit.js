@@ -0,0 +1,191 @@
+// Rate limiting middleware (fixed window counters)
+import { query } from "../config/database.js"
+import { asyncHandler } from "./errorHandler.js"
+
+// Read a positive integer setting from the environment
+export const envInt = (name, fallback) => {
+  const value = Number.parseInt(process.env[name])
+  return Number.isNaN(value) || value <= 0 ? fallback : value
+}
+
+// In-memory store, fine for a single server instance
+export const createMemoryStore = () => {
+  const hits = new Map()
+
+  // Drop expired windows so the map doesn't grow forever
+  const sweeper = setInterval(() => {
+    const now = Date.now()
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key)
+    }
+  }, 60 * 1000)
+  sweeper.unref()
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now()
+      let entry = hits.get(key)
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs }
+        hits.set(key, entry)
+      }
+
+      entry.count += 1
+      return { count: entry.count, resetAt: new Date(entry.resetAt) }
+    },
+    reset: async (key) => {
+      hits.delete(key)
+    },
+  }
+}
+
+// Postgres store, shared by every instance behind a load balancer
+export const createPostgresStore = () => {
+  return {
+    increment: async (key, windowMs) => {
+      const result = await query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP
+             THEN CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond' ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs],
+      )
+      return { count: result.rows[0].count, resetAt: new Date(result.rows[0].reset_at) }
+    },
+    reset: async (key) => {
+      await query("DELETE FROM rate_limits WHERE key = $1", [key])
+    },
+  }
+}
+
+// RATE_LIMIT_STORE=postgres when running several instances
+const defaultStore = process.env.RATE_LIMIT_STORE === "postgres" ? createPostgresStore() : createMemoryStore()
+
+// Send a 429 with Retry-After
+export const sendTooManyRequests = (res, retryAfterSeconds, message) => {
+  res.set("Retry-After", String(Math.max(1, Math.ceil(retryAfterSeconds))))
+  return res.status(429).json({ error: message, retry_after: Math.max(1, Math.ceil(retryAfterSeconds)) })
+}
+
+/**
+ * Create a rate limiting middleware.
+ * keyGenerator returns the value to count against (IP, email...); returning
+ * nothing skips the limiter for that request.
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = "Too many requests, please try again later",
+  store = defaultStore,
+}) => {
+  return asyncHandler(async (req, res, next) => {
+    const keyValue = keyGenerator(req)
+
+    if (!keyValue) {
+      return next()
+    }
+
+    const { count, resetAt } = await store.increment(`${name}:${keyValue}`, windowMs)
+    const retryAfterSeconds = (resetAt.getTime() - Date.now()) / 1000
+
+    res.set("RateLimit-Limit", String(max))
+    res.set("RateLimit-Remaining", String(Math.max(0, max - count)))
+    res.set("RateLimit-Reset", String(Math.max(0, Math.ceil(retryAfterSeconds))))
+
+    if (count > max) {
+      console.warn("🚦 Rate limit exceeded:", { limiter: name, ip: req.ip })
+      return sendTooManyRequests(res, retryAfterSeconds, message)
+    }
+
+    next()
+  })
+}
+
+// Key requests by the account they target
+export const emailKey = (req) => {
+  const { email } = req.body || {}
+  return typeof email === "string" ? email.trim().toLowerCase() : null
+}
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000
+const ONE_HOUR = 60 * 60 * 1000
+
+// Limiters for the authentication endpoints, configurable through the environment
+export const authLimiters = {
+  loginByIp: rateLimit({
+    name: "login-ip",
+    windowMs: FIFTEEN_MINUTES,
+    max: envInt("RATE_LIMIT_LOGIN_IP_MAX", 20),
+    message: "Too many login attempts, please try again later",
+  }),
+  loginByAccount: rateLimit({
+    name: "login-account",
+    windowMs: FIFTEEN_MINUTES,
+    max: envInt("RATE_LIMIT_LOGIN_ACCOUNT_MAX", 10),
+    keyGenerator: emailKey,
+    message: "Too many login attempts for this account, please try again later",
+  }),
+  twoFactorByIp: rateLimit({
+    name: "2fa-ip",
+    windowMs: FIFTEEN_MINUTES,
+    max: envInt("RATE_LIMIT_LOGIN_IP_MAX", 20),
+    message: "Too many verification attempts, please try again later",
+  }),
+  forgotPasswordByIp: rateLimit({
+    name: "forgot-ip",
+    windowMs: ONE_HOUR,
+    max: envInt("RATE_LIMIT_FORGOT_IP_MAX", 10),
+    message: "Too many password reset requests, please try again later",
+  }),
+  forgotPasswordByAccount: rateLimit({
+    name: "forgot-account",
+    windowMs: ONE_HOUR,
+    max: envInt("RATE_LIMIT_FORGOT_ACCOUNT_MAX", 3),
+    keyGenerator: emailKey,
+    message: "Too many password reset requests for this account, please try again later",
+  }),
+  tokenByIp: rateLimit({
+    name: "token-ip",
+    windowMs: FIFTEEN_MINUTES,
+    max: envInt("RATE_LIMIT_TOKEN_IP_MAX", 20),
+    message: "Too many attempts, please try again later",
+  }),
+}
+
+// Key requests by the signed-in user
+export const userKey = (req) => req.user?.id
+
+// Limiters for guessing family invitation codes
+export const invitationLimiters = {
+  joinByIp: rateLimit({
+    name: "join-ip",
+    windowMs: FIFTEEN_MINUTES,
+    max: envInt("RATE_LIMIT_JOIN_IP_MAX", 20),
+    message: "Too many invitation code attempts, please try again later",
+  }),
+  joinByUser: rateLimit({
+    name: "join-user",
+    windowMs: FIFTEEN_MINUTES,
+    max: envInt("RATE_LIMIT_JOIN_USER_MAX", 10),
+    keyGenerator: userKey,
+    message: "Too many invitation code attempts, please try again later",
+  }),
+}
+
+export default {
+  envInt,
+  createMemoryStore,
+  createPostgresStore,
+  sendTooManyRequests,
+  rateLimit,
+  emailKey,
+  userKey,
+  authLimiters,
+  invitationLimiters,
+}
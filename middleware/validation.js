@@ -1,6 +1,8 @@
 // Input validation middleware
+import { isValidTimeZone, WEEK_START_DAYS } from "../utils/helpers.js"
+
 export const validateRegistration = (req, res, next) => {
-  const { username, email, password } = req.body
+  const { username, email, password, timezone, week_start_day } = req.body
 
   const errors = []
 
@@ -12,8 +14,18 @@ export const validateRegistration = (req, res, next) => {
     errors.push("Valid email address is required")
   }
 
-  if (!password || password.length < 6) {
-    errors.push("Password must be at least 6 characters long")
+  const passwordError = getPasswordError(password)
+  if (passwordError) {
+    errors.push(passwordError)
+  }
+
+  // Optional: clients usually send the browser's time zone at sign up
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    errors.push("Time zone must be an IANA time zone such as Europe/London")
+  }
+
+  if (week_start_day !== undefined && !WEEK_START_DAYS.includes(week_start_day)) {
+    errors.push("Week start day must be 0 (Sunday) or 1 (Monday)")
   }
 
   if (errors.length > 0) {
@@ -23,6 +35,21 @@ export const validateRegistration = (req, res, next) => {
   next()
 }
 
+export const validatePasswordReset = (req, res, next) => {
+  const { token, password } = req.body
+
+  if (!token || typeof token !== "string") {
+    return res.status(400).json({ error: "Reset token is required" })
+  }
+
+  const passwordError = getPasswordError(password)
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError })
+  }
+
+  next()
+}
+
 export const validateLogin = (req, res, next) => {
   const { email, password } = req.body
 
@@ -33,6 +60,45 @@ export const validateLogin = (req, res, next) => {
   next()
 }
 
+export const validateProfileUpdate = (req, res, next) => {
+  const { username, email } = req.body
+
+  const errors = []
+
+  if (username === undefined && email === undefined) {
+    return res.status(400).json({ error: "Nothing to update" })
+  }
+
+  if (username !== undefined && (typeof username !== "string" || username.trim().length < 3)) {
+    errors.push("Username must be at least 3 characters long")
+  }
+
+  if (email !== undefined && (typeof email !== "string" || !isValidEmail(email))) {
+    errors.push("Valid email address is required")
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(", ") })
+  }
+
+  next()
+}
+
+export const validatePasswordChange = (req, res, next) => {
+  const { current_password, new_password } = req.body
+
+  if (!current_password) {
+    return res.status(400).json({ error: "Current password is required" })
+  }
+
+  const passwordError = getPasswordError(new_password)
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError })
+  }
+
+  next()
+}
+
 export const validateTask = (req, res, next) => {
   const { title } = req.body
 
@@ -44,6 +110,19 @@ export const validateTask = (req, res, next) => {
     return res.status(400).json({ error: "Task title must be less than 200 characters" })
   }
 
+  if (!isValidDueAt(req.body.due_at)) {
+    return res.status(400).json({ error: "Due date must be a valid date" })
+  }
+
+  next()
+}
+
+// Used by family task routes, which don't go through validateTask
+export const validateDueAt = (req, res, next) => {
+  if (!isValidDueAt(req.body.due_at)) {
+    return res.status(400).json({ error: "Due date must be a valid date" })
+  }
+
   next()
 }
 
@@ -65,7 +144,9 @@ export const validateTaskId = (req, res, next) => {
   const { id, taskId } = req.params
   const paramId = id || taskId
 
-  if (!paramId || isNaN(Number.parseInt(paramId))) {
+  // Digits only: routers mounted under the ID (checklist, comments, tags) read the
+  // raw string through mergeParams, so "12abc" must not get past here
+  if (!paramId || !/^\d+$/.test(paramId)) {
     return res.status(400).json({ error: "Invalid task ID format" })
   }
 
@@ -76,7 +157,32 @@ export const validateTaskId = (req, res, next) => {
   next()
 }
 
+export const validateSeriesId = (req, res, next) => {
+  const seriesId = Number.parseInt(req.params.seriesId)
+
+  if (isNaN(seriesId)) {
+    return res.status(400).json({ error: "Invalid series ID format" })
+  }
+
+  req.params.seriesId = seriesId
+  next()
+}
+
 // Helper functions
+// Shared password rules so registration and resets stay in sync
+const getPasswordError = (password) => {
+  if (!password || password.length < 6) {
+    return "Password must be at least 6 characters long"
+  }
+  return null
+}
+
+// due_at is optional: undefined keeps the current value, null clears it
+const isValidDueAt = (dueAt) => {
+  if (dueAt === undefined || dueAt === null) return true
+  return typeof dueAt === "string" && !Number.isNaN(Date.parse(dueAt))
+}
+
 const isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
   return emailRegex.test(email)
@@ -85,7 +191,12 @@ const isValidEmail = (email) => {
 export default {
   validateRegistration,
   validateLogin,
+  validatePasswordReset,
+  validateProfileUpdate,
+  validatePasswordChange,
   validateTask,
+  validateDueAt,
   validateFamily,
   validateTaskId,
+  validateSeriesId,
 }
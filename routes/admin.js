@@ -0,0 +1,87 @@
+// Administration routes
+import express from "express"
+import { query } from "../config/database.js"
+import { authenticateToken, requireAdmin } from "../middleware/auth.js"
+import { asyncHandler } from "../middleware/errorHandler.js"
+import { getJob, listJobs, runJob } from "../jobs/scheduler.js"
+import { parsePagination } from "../utils/helpers.js"
+
+const router = express.Router()
+
+// All routes require an authenticated administrator
+router.use(authenticateToken, requireAdmin)
+
+/**
+ * GET /api/admin/jobs
+ * List background jobs with their schedule and most recent run
+ */
+router.get(
+  "/jobs",
+  asyncHandler(async (req, res) => {
+    const lastRunsResult = await query(
+      `SELECT DISTINCT ON (job_name) *
+       FROM job_runs
+       ORDER BY job_name, started_at DESC`,
+    )
+    const lastRuns = new Map(lastRunsResult.rows.map((run) => [run.job_name, run]))
+
+    const jobs = listJobs().map((job) => ({
+      ...job,
+      last_run: lastRuns.get(job.name) || null,
+    }))
+
+    res.json(jobs)
+  }),
+)
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Run history of a job, newest first (?page, ?limit)
+ */
+router.get(
+  "/jobs/:name/runs",
+  asyncHandler(async (req, res) => {
+    if (!getJob(req.params.name)) {
+      return res.status(404).json({ error: "Job not found" })
+    }
+
+    const { limit, offset } = parsePagination(req.query)
+
+    const result = await query(
+      `SELECT jr.*, u.username as triggered_by_name
+       FROM job_runs jr
+       LEFT JOIN users u ON jr.triggered_by = u.id
+       WHERE jr.job_name = $1
+       ORDER BY jr.started_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.params.name, limit, offset],
+    )
+
+    res.json(result.rows)
+  }),
+)
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a job now and wait for it to finish
+ */
+router.post(
+  "/jobs/:name/run",
+  asyncHandler(async (req, res) => {
+    if (!getJob(req.params.name)) {
+      return res.status(404).json({ error: "Job not found" })
+    }
+
+    const run = await runJob(req.params.name, { trigger: "manual", triggeredBy: req.user.id })
+
+    if (!run) {
+      return res.status(409).json({ error: "Job is already running" })
+    }
+
+    console.log(`🛠️ Job "${run.job_name}" run manually by user ${req.user.id}: ${run.status}`)
+
+    res.json(run)
+  }),
+)
+
+export default router
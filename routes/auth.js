@@ -2,20 +2,78 @@
 import express from "express"
 import bcrypt from "bcrypt"
 import crypto from "crypto"
-import { query } from "../config/database.js"
+import { query, withTransaction } from "../config/database.js"
 import { sendEmail, emailTemplates } from "../config/email.js"
-import { generateToken } from "../middleware/auth.js"
-import { validateRegistration, validateLogin } from "../middleware/validation.js"
+import { authenticateToken, generateChallengeToken, verifyChallengeToken } from "../middleware/auth.js"
+import { validateRegistration, validateLogin, validatePasswordReset } from "../middleware/validation.js"
 import { asyncHandler } from "../middleware/errorHandler.js"
+import {
+  getClientInfo,
+  createSession,
+  listActiveSessions,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessions.js"
+import { sendVerificationEmail, getResendCooldown } from "../utils/verification.js"
+import { generateSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js"
+import { authLimiters } from "../middleware/rateLimit.js"
+import { getLockoutSeconds, recordFailedLogin, clearFailedLogins } from "../utils/lockout.js"
 
 const router = express.Router()
 
+const RECOVERY_CODE_COUNT = 10
+
+// One-time recovery codes in the form xxxxx-xxxxx
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`
+  })
+}
+
+// Accept a TOTP code once per time step, so an intercepted code can't be replayed
+const consumeTotpCode = async (user, code) => {
+  const lastStep = user.totp_last_used_step === null ? -1 : Number(user.totp_last_used_step)
+  const step = verifyTotp(user.totp_secret, code, { afterStep: lastStep })
+
+  if (step === null) return false
+
+  const result = await query(
+    `UPDATE users SET totp_last_used_step = $1 
+     WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1) 
+     RETURNING id`,
+    [step, user.id],
+  )
+  return result.rows.length > 0
+}
+
+// Mark a matching unused recovery code as used
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+  const normalized = String(recoveryCode).trim().toLowerCase()
+  const codes = await query("SELECT id, code_hash FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL", [
+    userId,
+  ])
+
+  for (const storedCode of codes.rows) {
+    if (await bcrypt.compare(normalized, storedCode.code_hash)) {
+      const result = await query(
+        "UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL RETURNING id",
+        [storedCode.id],
+      )
+      return result.rows.length > 0
+    }
+  }
+
+  return false
+}
+
 // User Registration
 router.post(
   "/register",
   validateRegistration,
   asyncHandler(async (req, res) => {
-    const { username, email, password } = req.body
+    const { username, email, password, timezone = "UTC", week_start_day = 0 } = req.body
 
     // Check if user already exists
     const existingUser = await query("SELECT id FROM users WHERE email = $1 OR username = $2", [email, username])
@@ -29,17 +87,19 @@ router.post(
 
     // Create user
     const result = await query(
-      "INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, created_at",
-      [username, email, hashedPassword],
+      `INSERT INTO users (username, email, password_hash, timezone, week_start_day) VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, username, email, email_verified, token_version, timezone, week_start_day, created_at`,
+      [username, email, hashedPassword, timezone, week_start_day],
     )
 
     const newUser = result.rows[0]
 
-    // Generate JWT token
-    const token = generateToken(newUser)
+    // Start a session with an access/refresh token pair
+    const { token, refreshToken } = await createSession(newUser, getClientInfo(req))
 
-    // Send welcome email
+    // Send welcome email and ask the user to confirm their address
     await sendEmail(newUser.email, "Welcome to TaskFlow!", emailTemplates.welcomeEmail(newUser.username))
+    await sendVerificationEmail(newUser)
 
     console.log("✅ User registered:", { id: newUser.id, username, email })
 
@@ -49,8 +109,10 @@ router.post(
         id: newUser.id,
         username: newUser.username,
         email: newUser.email,
+        email_verified: newUser.email_verified,
       },
       token,
+      refreshToken,
     })
   }),
 )
@@ -59,11 +121,14 @@ router.post(
 router.post(
   "/login",
   validateLogin,
+  authLimiters.loginByIp,
+  authLimiters.loginByAccount,
   asyncHandler(async (req, res) => {
     const { email, password } = req.body
 
     // Find user
-    const result = await query("SELECT id, username, email, password_hash FROM users WHERE email = $1", [email])
+    const result = await query(`SELECT id, username, email, email_verified, password_hash, token_version, totp_enabled, locked_until 
+       FROM users WHERE email = $1`, [email])
 
     if (result.rows.length === 0) {
       return res.status(401).json({ error: "Invalid email or password" })
@@ -71,15 +136,34 @@ router.post(
 
     const user = result.rows[0]
 
+    // A locked account fails like an unknown email, on purpose not with a 429: only existing accounts
+    // get locked, so a 429 with Retry-After here would tell anyone that the email is registered.
+    // Throttled clients still get 429 + Retry-After from the limiters above, which count any email.
+    if (getLockoutSeconds(user) > 0) {
+      return res.status(401).json({ error: "Invalid email or password" })
+    }
+
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password_hash)
 
     if (!isValidPassword) {
+      await recordFailedLogin(user.id)
       return res.status(401).json({ error: "Invalid email or password" })
     }
 
-    // Generate JWT token
-    const token = generateToken(user)
+    // Two-factor accounts get a challenge token to exchange at /login/2fa
+    if (user.totp_enabled) {
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user),
+      })
+    }
+
+    await clearFailedLogins(user.id)
+
+    // Start a session with an access/refresh token pair
+    const { token, refreshToken } = await createSession(user, getClientInfo(req))
 
     console.log("✅ User logged in:", { id: user.id, username: user.username, email })
 
@@ -89,8 +173,71 @@ router.post(
         id: user.id,
         username: user.username,
         email: user.email,
+        email_verified: user.email_verified,
       },
       token,
+      refreshToken,
+    })
+  }),
+)
+
+// Second login step for two-factor accounts
+router.post(
+  "/login/2fa",
+  authLimiters.twoFactorByIp,
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "Challenge token and a verification or recovery code are required" })
+    }
+
+    const challenge = verifyChallengeToken(challengeToken)
+
+    if (!challenge) {
+      return res.status(401).json({ error: "Invalid or expired challenge token" })
+    }
+
+    const result = await query(
+      `SELECT id, username, email, email_verified, token_version, totp_secret, totp_enabled, totp_last_used_step, locked_until 
+       FROM users WHERE id = $1`,
+      [challenge.id],
+    )
+
+    if (result.rows.length === 0 || !result.rows[0].totp_enabled) {
+      return res.status(401).json({ error: "Invalid or expired challenge token" })
+    }
+
+    const user = result.rows[0]
+
+    // Same failure as a wrong code while the account is locked
+    if (getLockoutSeconds(user) > 0) {
+      return res.status(401).json({ error: "Invalid verification code" })
+    }
+
+    const isValidCode = code ? await consumeTotpCode(user, code) : await consumeRecoveryCode(user.id, recoveryCode)
+
+    if (!isValidCode) {
+      await recordFailedLogin(user.id)
+      return res.status(401).json({ error: "Invalid verification code" })
+    }
+
+    await clearFailedLogins(user.id)
+
+    const { token, refreshToken } = await createSession(user, getClientInfo(req))
+
+    console.log("✅ User logged in with 2FA:", { id: user.id, username: user.username, recovery: !code })
+
+    res.json({
+      message: "Login successful",
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        email_verified: user.email_verified,
+      },
+      token,
+      refreshToken,
     })
   }),
 )
@@ -98,6 +245,8 @@ router.post(
 // Forgot Password
 router.post(
   "/forgot-password",
+  authLimiters.forgotPasswordByIp,
+  authLimiters.forgotPasswordByAccount,
   asyncHandler(async (req, res) => {
     const { email } = req.body
 
@@ -140,4 +289,325 @@ router.post(
   }),
 )
 
+// Reset Password
+router.post(
+  "/reset-password",
+  authLimiters.tokenByIp,
+  validatePasswordReset,
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body
+
+    const hashedPassword = await bcrypt.hash(password, 10)
+
+    const user = await withTransaction(async (client) => {
+      const tokenResult = await client.query(
+        "SELECT user_id, expires_at FROM password_reset_tokens WHERE token = $1 FOR UPDATE",
+        [token],
+      )
+
+      if (tokenResult.rows.length === 0) {
+        return null
+      }
+
+      const resetToken = tokenResult.rows[0]
+
+      // Tokens are single-use, expired or not
+      await client.query("DELETE FROM password_reset_tokens WHERE user_id = $1", [resetToken.user_id])
+
+      if (new Date(resetToken.expires_at) < new Date()) {
+        return null
+      }
+
+      await revokeAllSessions(resetToken.user_id, client)
+
+      // Bumping token_version invalidates every JWT issued before the reset
+      const userResult = await client.query(
+        `UPDATE users 
+         SET password_hash = $1, token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $2 
+         RETURNING id, username, email`,
+        [hashedPassword, resetToken.user_id],
+      )
+
+      return userResult.rows[0]
+    })
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired reset token" })
+    }
+
+    console.log("🔑 Password reset completed for:", user.email)
+
+    res.json({ message: "Password has been reset successfully. Please log in with your new password." })
+  }),
+)
+
+// Verify email address
+router.post(
+  "/verify-email",
+  authLimiters.tokenByIp,
+  asyncHandler(async (req, res) => {
+    const { token } = req.body
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Verification token is required" })
+    }
+
+    const user = await withTransaction(async (client) => {
+      const tokenResult = await client.query(
+        "DELETE FROM email_verification_tokens WHERE token = $1 RETURNING user_id, expires_at",
+        [token],
+      )
+
+      if (tokenResult.rows.length === 0 || new Date(tokenResult.rows[0].expires_at) < new Date()) {
+        return null
+      }
+
+      const userResult = await client.query(
+        `UPDATE users 
+         SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $1 
+         RETURNING id, email`,
+        [tokenResult.rows[0].user_id],
+      )
+
+      return userResult.rows[0]
+    })
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired verification token" })
+    }
+
+    console.log("✅ Email verified:", user.email)
+
+    res.json({ message: "Email verified successfully" })
+  }),
+)
+
+// Resend verification email
+router.post(
+  "/resend-verification",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    if (req.user.email_verified) {
+      return res.status(400).json({ error: "Email is already verified" })
+    }
+
+    const waitSeconds = await getResendCooldown(req.user.id)
+
+    if (waitSeconds > 0) {
+      res.set("Retry-After", String(waitSeconds))
+      return res.status(429).json({ error: `Please wait ${waitSeconds} seconds before requesting another email` })
+    }
+
+    const result = await query("SELECT id, username, email FROM users WHERE id = $1", [req.user.id])
+
+    await sendVerificationEmail(result.rows[0])
+
+    res.json({ message: "Verification email sent" })
+  }),
+)
+
+// Refresh access token (rotates the refresh token)
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({ error: "Refresh token is required" })
+    }
+
+    const result = await rotateRefreshToken(refreshToken, getClientInfo(req))
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    })
+  }),
+)
+
+// Logout of the current session
+router.post(
+  "/logout",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    await revokeSession(req.user.sid, req.user.id)
+
+    console.log("👋 User logged out:", { id: req.user.id })
+
+    res.json({ message: "Logged out successfully" })
+  }),
+)
+
+// Logout of every session
+router.post(
+  "/logout-all",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const revokedCount = await revokeAllSessions(req.user.id)
+
+    console.log("👋 User logged out everywhere:", { id: req.user.id, sessions: revokedCount })
+
+    res.json({ message: "Logged out of all sessions", revoked_sessions: revokedCount })
+  }),
+)
+
+// List active sessions (devices)
+router.get(
+  "/sessions",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const sessions = await listActiveSessions(req.user.id)
+
+    res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid,
+      })),
+    )
+  }),
+)
+
+// Revoke a single session (e.g. a lost device)
+router.delete(
+  "/sessions/:sessionId",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+
+    if (!/^[0-9a-f-]{36}$/i.test(sessionId)) {
+      return res.status(400).json({ error: "Invalid session ID format" })
+    }
+
+    const revoked = await revokeSession(sessionId, req.user.id)
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" })
+    }
+
+    console.log("🔒 Session revoked:", { userId: req.user.id })
+
+    res.json({ message: "Session revoked successfully" })
+  }),
+)
+
+// Start two-factor enrollment
+router.post(
+  "/2fa/enroll",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const result = await query("SELECT email, totp_enabled FROM users WHERE id = $1", [req.user.id])
+
+    if (result.rows[0].totp_enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" })
+    }
+
+    const secret = generateSecret()
+
+    await query("UPDATE users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2", [secret, req.user.id])
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, result.rows[0].email),
+    })
+  }),
+)
+
+// Confirm enrollment with a first code and receive recovery codes
+router.post(
+  "/2fa/confirm",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({ error: "Verification code is required" })
+    }
+
+    const result = await query("SELECT totp_secret, totp_enabled FROM users WHERE id = $1", [req.user.id])
+    const user = result.rows[0]
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" })
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: "Start enrollment before confirming" })
+    }
+
+    const step = verifyTotp(user.totp_secret, code)
+
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid verification code" })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+    const codeHashes = await Promise.all(recoveryCodes.map((recoveryCode) => bcrypt.hash(recoveryCode, 10)))
+
+    await withTransaction(async (client) => {
+      await client.query("UPDATE users SET totp_enabled = TRUE, totp_last_used_step = $1 WHERE id = $2", [
+        step,
+        req.user.id,
+      ])
+      await client.query("DELETE FROM user_recovery_codes WHERE user_id = $1", [req.user.id])
+
+      for (const codeHash of codeHashes) {
+        await client.query("INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)", [
+          req.user.id,
+          codeHash,
+        ])
+      }
+    })
+
+    console.log("🔐 Two-factor authentication enabled:", { id: req.user.id })
+
+    res.json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes,
+    })
+  }),
+)
+
+// Disable two-factor authentication
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { password, code } = req.body
+
+    if (!password || !code) {
+      return res.status(400).json({ error: "Password and verification code are required" })
+    }
+
+    const result = await query(
+      "SELECT id, password_hash, totp_secret, totp_enabled, totp_last_used_step FROM users WHERE id = $1",
+      [req.user.id],
+    )
+    const user = result.rows[0]
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" })
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash)
+
+    if (!isValidPassword || !(await consumeTotpCode(user, code))) {
+      return res.status(401).json({ error: "Invalid password or verification code" })
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        "UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_used_step = NULL WHERE id = $1",
+        [req.user.id],
+      )
+      await client.query("DELETE FROM user_recovery_codes WHERE user_id = $1", [req.user.id])
+    })
+
+    console.log("🔓 Two-factor authentication disabled:", { id: req.user.id })
+
+    res.json({ message: "Two-factor authentication disabled" })
+  }),
+)
+
 export default router
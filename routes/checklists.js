@@ -0,0 +1,122 @@
+// Checklist (subtask) routes, mounted under a personal or family task:
+//   /api/tasks/:id/checklist and /api/family/tasks/:taskId/checklist
+import express from "express"
+import { withTransaction } from "../config/database.js"
+import { asyncHandler } from "../middleware/errorHandler.js"
+import {
+  parseChecklistItem,
+  listItems,
+  addItem,
+  updateItem,
+  deleteItem,
+  reorderItems,
+} from "../utils/checklists.js"
+
+const parseItemId = (value) => {
+  const itemId = Number(value)
+  return Number.isInteger(itemId) && itemId > 0 ? itemId : null
+}
+
+/**
+ * Build the checklist router for one kind of task.
+ * table: "tasks" or "family_tasks"
+ * findTask(client, req, { write }): locks and returns { task }, or { status, error }
+ * when the task is missing or the user may not read / change it
+ */
+export const createChecklistRouter = ({ table, findTask }) => {
+  const router = express.Router({ mergeParams: true })
+
+  // Run `handler(client, task)` in a transaction once the task has been loaded and checked
+  const withTask = (req, write, handler) =>
+    withTransaction(async (client) => {
+      const found = await findTask(client, req, { write })
+      if (found.error) return found
+      return handler(client, found.task)
+    })
+
+  const send = (res, outcome, successStatus = 200) => {
+    if (outcome === null) {
+      return res.status(404).json({ error: "Checklist item not found" })
+    }
+    if (outcome.error) {
+      return res.status(outcome.status || 400).json({ error: outcome.error })
+    }
+    return res.status(successStatus).json(outcome)
+  }
+
+  // List the task's checklist items in order
+  router.get(
+    "/",
+    asyncHandler(async (req, res) => {
+      const outcome = await withTask(req, false, async (client, task) => ({
+        items: await listItems(client, table, task.id),
+      }))
+      send(res, outcome)
+    }),
+  )
+
+  // Add an item: { title, is_checked? }
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      const parsed = parseChecklistItem(req.body)
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+
+      const outcome = await withTask(req, true, (client, task) => addItem(client, table, task, parsed.fields, req.user.id))
+      send(res, outcome, 201)
+    }),
+  )
+
+  // Reorder: { item_ids: [...] } listing every item in its new order
+  router.put(
+    "/order",
+    asyncHandler(async (req, res) => {
+      const outcome = await withTask(req, true, (client, task) => reorderItems(client, table, task, req.body.item_ids))
+      send(res, outcome)
+    }),
+  )
+
+  // Rename and/or check an item: { title?, is_checked? }
+  router.patch(
+    "/:itemId",
+    asyncHandler(async (req, res) => {
+      const itemId = parseItemId(req.params.itemId)
+      const parsed = parseChecklistItem(req.body, { partial: true })
+
+      if (!itemId) {
+        return res.status(400).json({ error: "Invalid checklist item ID format" })
+      }
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+
+      const outcome = await withTask(req, true, (client, task) =>
+        updateItem(client, table, task, itemId, parsed.fields, req.user.id),
+      )
+      send(res, outcome)
+    }),
+  )
+
+  // Remove an item
+  router.delete(
+    "/:itemId",
+    asyncHandler(async (req, res) => {
+      const itemId = parseItemId(req.params.itemId)
+
+      if (!itemId) {
+        return res.status(400).json({ error: "Invalid checklist item ID format" })
+      }
+
+      const outcome = await withTask(req, true, (client, task) => deleteItem(client, table, task, itemId))
+      send(res, outcome === null ? null : { message: "Checklist item deleted successfully", ...outcome })
+    }),
+  )
+
+  return router
+}
+
+export default createChecklistRouter
@@ -0,0 +1,125 @@
+// Discussion routes for a family task: /api/family/tasks/:taskId/comments
+import express from "express"
+import { withTransaction } from "../config/database.js"
+import { asyncHandler } from "../middleware/errorHandler.js"
+import {
+  parseComment,
+  listComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  notifyMentions,
+} from "../utils/comments.js"
+
+const parseCommentId = (value) => {
+  const commentId = Number(value)
+  return Number.isInteger(commentId) && commentId > 0 ? commentId : null
+}
+
+/**
+ * Build the comment router.
+ * findTask(client, req): returns { task } (with family_name and the user's member_role)
+ * when the user is a member of the task's family, or { status, error }
+ */
+export const createCommentRouter = ({ findTask }) => {
+  const router = express.Router({ mergeParams: true })
+
+  // Run `handler(client, task)` in a transaction once the task has been loaded and checked
+  const withTask = (req, handler) =>
+    withTransaction(async (client) => {
+      const found = await findTask(client, req)
+      if (found.error) return found
+      return { task: found.task, ...(await handler(client, found.task)) }
+    })
+
+  // Send the comment, then email anyone it newly mentioned without holding up the response
+  const sendComment = (res, outcome, successStatus) => {
+    if (outcome.error) {
+      return res.status(outcome.status || 400).json({ error: outcome.error })
+    }
+
+    res.status(successStatus).json({
+      ...outcome.comment,
+      mentioned: outcome.mentioned.map((member) => ({ id: member.id, username: member.username })),
+    })
+
+    setImmediate(() => {
+      notifyMentions(outcome).catch((error) => console.error("❌ Mention notifications failed:", error.message))
+    })
+  }
+
+  // List the task's comments as threads
+  router.get(
+    "/",
+    asyncHandler(async (req, res) => {
+      const outcome = await withTask(req, (client, task) => listComments(client, task.id))
+
+      if (outcome.error) {
+        return res.status(outcome.status || 400).json({ error: outcome.error })
+      }
+
+      res.json({ comments: outcome.comments, count: outcome.count })
+    }),
+  )
+
+  // Post a comment, or a reply with parent_id: { body, parent_id? }
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      const parsed = parseComment(req.body)
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+
+      const outcome = await withTask(req, (client, task) => addComment(client, task, parsed.fields, req.user.id))
+      sendComment(res, outcome, 201)
+    }),
+  )
+
+  // Edit your own comment: { body }
+  router.patch(
+    "/:commentId",
+    asyncHandler(async (req, res) => {
+      const commentId = parseCommentId(req.params.commentId)
+      const parsed = parseComment(req.body, { allowParent: false })
+
+      if (!commentId) {
+        return res.status(400).json({ error: "Invalid comment ID format" })
+      }
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+
+      const outcome = await withTask(req, (client, task) =>
+        updateComment(client, task, commentId, parsed.fields, req.user.id),
+      )
+      sendComment(res, outcome, 200)
+    }),
+  )
+
+  // Delete a comment (author, or an owner or admin as moderator)
+  router.delete(
+    "/:commentId",
+    asyncHandler(async (req, res) => {
+      const commentId = parseCommentId(req.params.commentId)
+
+      if (!commentId) {
+        return res.status(400).json({ error: "Invalid comment ID format" })
+      }
+
+      const outcome = await withTask(req, (client, task) => deleteComment(client, task, commentId, req.user.id))
+
+      if (outcome.error) {
+        return res.status(outcome.status || 400).json({ error: outcome.error })
+      }
+
+      res.json({ message: "Comment deleted successfully", kept_for_replies: outcome.kept_for_replies })
+    }),
+  )
+
+  return router
+}
+
+export default createCommentRouter
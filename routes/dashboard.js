@@ -3,12 +3,32 @@ import express from "express"
 import { query } from "../config/database.js"
 import { authenticateToken } from "../middleware/auth.js"
 import { asyncHandler } from "../middleware/errorHandler.js"
+import { parseFamilyId, requireFamilyMember } from "../middleware/familyPermissions.js"
+import { getCurrentWeekStart, addDays } from "../utils/helpers.js"
 
 const router = express.Router()
 
 // All routes require authentication
 router.use(authenticateToken)
 
+// Family analytics are open to every member of the family the request names
+// (?family_id or X-Family-Id, else the default or only family)
+router.use("/family", parseFamilyId, requireFamilyMember)
+
+const TIMEFRAME_DAYS = { week: 7, month: 30, year: 365 }
+
+// SQL for the start of the timeframe (month when it isn't recognised)
+const timeframeStartSql = (timeframe) =>
+  `CURRENT_DATE - INTERVAL '${TIMEFRAME_DAYS[timeframe] || TIMEFRAME_DAYS.month} days'`
+
+// SQL condition limiting `column` to the timeframe
+const dateFilterFor = (timeframe, column = "created_at") => `AND ${column} >= ${timeframeStartSql(timeframe)}`
+
+// A member counts as over- or under-assigned when their open workload is more
+// than this fraction away from the family average
+const WORKLOAD_TOLERANCE = 0.25
+const MAX_STATS_WEEKS = 52
+
 // Get dashboard statistics
 router.get(
   "/stats",
@@ -26,19 +46,21 @@ router.get(
 
     const currentWeekStats = currentWeekResult.rows[0]
 
-    // Get weekly data - only weeks where user actually had tasks
+    // Get weekly data - only weeks where user actually had tasks,
+    // grouped on the user's own week boundaries. Archived tasks count:
+    // the rollover archives finished weeks, which are this history.
     const weeklyResult = await query(
       `SELECT 
-      week_start,
+      align_week_start(week_start, $2)::text as week_start,
       COUNT(*) as total_tasks,
       COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_tasks,
       COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_tasks
      FROM tasks 
-     WHERE user_id = $1 AND archived = FALSE
-     GROUP BY week_start
-     ORDER BY week_start DESC
+     WHERE user_id = $1
+     GROUP BY align_week_start(week_start, $2)
+     ORDER BY 1 DESC
      LIMIT 4`,
-      [req.user.id],
+      [req.user.id, req.user.week_start_day],
     )
 
     const weeklyData = weeklyResult.rows.map((row) => ({
@@ -64,33 +86,19 @@ router.get(
   "/analytics",
   asyncHandler(async (req, res) => {
     const { timeframe = "month" } = req.query
+    const dateFilter = dateFilterFor(timeframe)
 
-    let dateFilter = ""
-    switch (timeframe) {
-      case "week":
-        dateFilter = "AND created_at >= CURRENT_DATE - INTERVAL '7 days'"
-        break
-      case "month":
-        dateFilter = "AND created_at >= CURRENT_DATE - INTERVAL '30 days'"
-        break
-      case "year":
-        dateFilter = "AND created_at >= CURRENT_DATE - INTERVAL '365 days'"
-        break
-      default:
-        dateFilter = "AND created_at >= CURRENT_DATE - INTERVAL '30 days'"
-    }
-
-    // Task completion trends
+    // Task completion trends, by calendar day in the user's time zone
     const trendsResult = await query(
       `SELECT 
-      DATE(created_at) as date,
+      DATE(created_at::timestamptz AT TIME ZONE $2)::text as date,
       COUNT(*) as total_tasks,
       COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_tasks
      FROM tasks 
      WHERE user_id = $1 AND archived = FALSE ${dateFilter}
-     GROUP BY DATE(created_at)
+     GROUP BY 1
      ORDER BY date DESC`,
-      [req.user.id],
+      [req.user.id, req.user.timezone],
     )
 
     // Priority distribution
@@ -106,12 +114,212 @@ router.get(
       [req.user.id],
     )
 
+    // Completion per tag, over the same tasks
+    const tagResult = await query(
+      `SELECT 
+      tg.id as tag_id,
+      tg.name,
+      tg.color,
+      COUNT(t.id) as count,
+      COUNT(CASE WHEN t.status = 'completed' THEN 1 END) as completed
+     FROM tags tg
+     LEFT JOIN task_tags tt ON tt.tag_id = tg.id
+     LEFT JOIN (
+       SELECT id, status FROM tasks
+       WHERE user_id = $1 AND archived = FALSE ${dateFilter}
+     ) t ON t.id = tt.task_id
+     WHERE tg.user_id = $1
+     GROUP BY tg.id
+     ORDER BY count DESC, LOWER(tg.name)`,
+      [req.user.id],
+    )
+
     res.json({
       trends: trendsResult.rows,
       priorityDistribution: priorityResult.rows,
+      tagDistribution: tagResult.rows,
       timeframe,
     })
   }),
 )
 
+// Family statistics: the current week, family totals per week, and each member's
+// completion rate per week (from the family_task_stats view). ?weeks=1-52 (default 8)
+// Archived tasks count: the weekly rollover archives every finished week's tasks.
+router.get(
+  "/family/stats",
+  asyncHandler(async (req, res) => {
+    const weeks = req.query.weeks === undefined ? 8 : Number(req.query.weeks)
+
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_STATS_WEEKS) {
+      return res.status(400).json({ error: `weeks must be between 1 and ${MAX_STATS_WEEKS}` })
+    }
+
+    const family = req.family
+    const currentWeekStart = getCurrentWeekStart(family)
+    const firstWeekStart = addDays(currentWeekStart, -7 * (weeks - 1))
+
+    const currentWeekResult = await query(
+      `SELECT 
+      COUNT(*)::int as total_tasks,
+      COUNT(CASE WHEN status = 'completed' THEN 1 END)::int as completed_tasks,
+      COUNT(CASE WHEN status = 'pending' THEN 1 END)::int as pending_tasks,
+      COUNT(CASE WHEN assigned_to IS NULL THEN 1 END)::int as unassigned_tasks
+     FROM family_tasks 
+     WHERE family_id = $1 AND align_week_start(week_start, $2) = $3`,
+      [family.id, family.week_start_day, currentWeekStart],
+    )
+
+    // Total tasks over time, on the family's week boundaries (unassigned tasks included)
+    const weeklyResult = await query(
+      `SELECT 
+      align_week_start(week_start, $2)::text as week_start,
+      COUNT(*)::int as total_tasks,
+      COUNT(CASE WHEN status = 'completed' THEN 1 END)::int as completed_tasks,
+      COUNT(CASE WHEN status = 'pending' THEN 1 END)::int as pending_tasks
+     FROM family_tasks 
+     WHERE family_id = $1 AND align_week_start(week_start, $2) >= $3
+     GROUP BY 1
+     ORDER BY 1 DESC`,
+      [family.id, family.week_start_day, firstWeekStart],
+    )
+
+    const membersResult = await query(
+      `SELECT u.id as user_id, u.username, fm.role
+       FROM family_members fm
+       JOIN users u ON fm.user_id = u.id
+       WHERE fm.family_id = $1
+       ORDER BY LOWER(u.username)`,
+      [family.id],
+    )
+
+    const memberWeeksResult = await query(
+      `SELECT 
+      user_id,
+      align_week_start(week_start, $2)::text as week_start,
+      SUM(total_tasks)::int as total_tasks,
+      SUM(completed_tasks)::int as completed_tasks,
+      ROUND(SUM(completed_tasks) * 100.0 / NULLIF(SUM(total_tasks), 0), 2)::float as completion_percentage
+     FROM family_task_stats 
+     WHERE family_id = $1 AND week_start IS NOT NULL AND align_week_start(week_start, $2) >= $3
+     GROUP BY user_id, 2
+     ORDER BY 2 DESC`,
+      [family.id, family.week_start_day, firstWeekStart],
+    )
+
+    const members = membersResult.rows.map((member) => ({
+      ...member,
+      weeks: memberWeeksResult.rows
+        .filter((row) => row.user_id === member.user_id)
+        .map(({ user_id, ...week }) => week),
+    }))
+
+    res.json({
+      currentWeek: { week_start: currentWeekStart, ...currentWeekResult.rows[0] },
+      weeklyData: weeklyResult.rows,
+      members,
+      weeks,
+    })
+  }),
+)
+
+// Member leaderboard over a timeframe (week, month or year): tasks completed,
+// completion rate and tasks finished by their due time. Ties share a rank.
+// Completions count when they happened in the timeframe; assigned_tasks and completion_rate
+// cover the tasks created in it. Archived tasks count too (the rollover archives finished weeks).
+router.get(
+  "/family/leaderboard",
+  asyncHandler(async (req, res) => {
+    const { timeframe = "month" } = req.query
+    const since = timeframeStartSql(timeframe)
+    const completedSince = `ft.status = 'completed' AND ft.completed_at >= ${since}`
+
+    const result = await query(
+      `SELECT 
+      u.id as user_id,
+      u.username,
+      fm.role,
+      COUNT(CASE WHEN ft.created_at >= ${since} THEN 1 END)::int as assigned_tasks,
+      COUNT(CASE WHEN ${completedSince} THEN 1 END)::int as completed_tasks,
+      COUNT(CASE WHEN ${completedSince} AND ft.completed_at::timestamptz <= ft.due_at THEN 1 END)::int
+        as completed_on_time,
+      COALESCE(
+        ROUND(
+          COUNT(CASE WHEN ft.created_at >= ${since} AND ft.status = 'completed' THEN 1 END) * 100.0 /
+            NULLIF(COUNT(CASE WHEN ft.created_at >= ${since} THEN 1 END), 0),
+          2
+        ),
+        0
+      )::float as completion_rate,
+      RANK() OVER (ORDER BY COUNT(CASE WHEN ${completedSince} THEN 1 END) DESC)::int as rank
+     FROM family_members fm
+     JOIN users u ON fm.user_id = u.id
+     LEFT JOIN family_tasks ft ON ft.family_id = fm.family_id AND ft.assigned_to = fm.user_id
+       AND (ft.created_at >= ${since} OR ft.completed_at >= ${since})
+     WHERE fm.family_id = $1
+     GROUP BY u.id, u.username, fm.role
+     ORDER BY rank, completion_rate DESC, LOWER(u.username)`,
+      [req.family.id],
+    )
+
+    res.json({ leaderboard: result.rows, timeframe })
+  }),
+)
+
+// Workload balance: each member's open tasks, weighted by priority (low 1, medium 2,
+// high 3), against the family average. `balance` is "over", "under" or "balanced".
+router.get(
+  "/family/workload",
+  asyncHandler(async (req, res) => {
+    const membersResult = await query(
+      `SELECT 
+      u.id as user_id,
+      u.username,
+      fm.role,
+      COUNT(ft.id)::int as open_tasks,
+      COUNT(CASE WHEN ft.due_at < CURRENT_TIMESTAMP THEN 1 END)::int as overdue_tasks,
+      COALESCE(SUM(ft.priority), 0)::int as workload
+     FROM family_members fm
+     JOIN users u ON fm.user_id = u.id
+     LEFT JOIN family_tasks ft ON ft.family_id = fm.family_id AND ft.assigned_to = fm.user_id
+       AND ft.status = 'pending' AND ft.archived = FALSE
+     WHERE fm.family_id = $1
+     GROUP BY u.id, u.username, fm.role
+     ORDER BY workload DESC, LOWER(u.username)`,
+      [req.family.id],
+    )
+
+    const unassignedResult = await query(
+      `SELECT COUNT(*)::int as count FROM family_tasks
+       WHERE family_id = $1 AND assigned_to IS NULL AND status = 'pending' AND archived = FALSE`,
+      [req.family.id],
+    )
+
+    const totalWorkload = membersResult.rows.reduce((sum, member) => sum + member.workload, 0)
+    const averageWorkload = totalWorkload / membersResult.rows.length
+
+    const members = membersResult.rows.map((member) => {
+      // With no open work at all, everyone is balanced
+      const ratio = averageWorkload > 0 ? member.workload / averageWorkload : 1
+      let balance = "balanced"
+      if (ratio > 1 + WORKLOAD_TOLERANCE) balance = "over"
+      else if (ratio < 1 - WORKLOAD_TOLERANCE) balance = "under"
+
+      return {
+        ...member,
+        share_percentage: totalWorkload > 0 ? Math.round((member.workload * 10000) / totalWorkload) / 100 : 0,
+        workload_ratio: Math.round(ratio * 100) / 100,
+        balance,
+      }
+    })
+
+    res.json({
+      members,
+      average_workload: Math.round(averageWorkload * 100) / 100,
+      unassigned_tasks: unassignedResult.rows[0].count,
+      tolerance: WORKLOAD_TOLERANCE,
+    })
+  }),
+)
+
 export default router
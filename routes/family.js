@@ -1,108 +1,205 @@
 // Family management routes
 import express from "express"
 import { query, withTransaction } from "../config/database.js"
-import { authenticateToken } from "../middleware/auth.js"
-import { validateFamily, validateTaskId } from "../middleware/validation.js"
+import { authenticateToken, requireVerifiedEmail } from "../middleware/auth.js"
+import { validateFamily, validateTaskId, validateDueAt, validateSeriesId } from "../middleware/validation.js"
 import { asyncHandler } from "../middleware/errorHandler.js"
-import { getCurrentWeekStart, generateInvitationCode } from "../utils/helpers.js"
+import { invitationLimiters } from "../middleware/rateLimit.js"
+import { getCurrentWeekStart, parsePagination, createError, escapeHtml } from "../utils/helpers.js"
+import { normalizeRecurrence } from "../utils/recurrence.js"
+import {
+  today,
+  parseSeriesChanges,
+  createSeries,
+  advanceSeries,
+  skipOccurrence,
+  updateSeries,
+  stopSeries,
+} from "../utils/taskSeries.js"
+import { parseWeekSettings, saveWeekSettings } from "../utils/weekSettings.js"
+import { parseTaskListQuery, listTasks } from "../utils/taskQuery.js"
+import { parseBulkRequest, runBulkAction } from "../utils/bulkTasks.js"
+import { checklistProgressSql } from "../utils/checklists.js"
+import { createChecklistRouter } from "./checklists.js"
+import { tagsJsonSql } from "../utils/tags.js"
+import { createTagRouter, createTaskTagRouter } from "./tags.js"
+import { createCommentRouter } from "./comments.js"
+import {
+  getRolePermissions,
+  hasFamilyPermission,
+  getTaskAccess,
+  parseFamilyId,
+  resolveFamily,
+  requireFamilyPermission,
+  requireFamilyMember,
+} from "../middleware/familyPermissions.js"
+import {
+  MAX_FAMILIES_PER_USER,
+  canJoinAnotherFamily,
+  changeMemberRole,
+  transferOwnership,
+  parseTaskHandoff,
+  removeMember,
+} from "../utils/familyMembers.js"
+import {
+  parseInvitationInput,
+  listInvitations,
+  createInvitation,
+  regenerateInvitation,
+  revokeInvitation,
+  redeemInvitation,
+  listJoinRequests,
+  decideJoinRequest,
+  sendInvitationEmail,
+} from "../utils/invitations.js"
+import { sendEmail, emailTemplates } from "../config/email.js"
+import { setTaskEtag, checkIfMatch, sendPreconditionError, parseTaskPatch, applyTaskPatch } from "../utils/taskUpdates.js"
+import { parseArchiveFilters, parsePurgeRequest, listArchived, restoreArchived, purgeArchived } from "../utils/archive.js"
 
 const router = express.Router()
 const isDev = process.env.NODE_ENV !== "production"
 
-// All routes require authentication
-router.use(authenticateToken)
+const isFamilyMember = async (familyId, userId, client = { query }) => {
+  const result = await client.query("SELECT 1 FROM family_members WHERE family_id = $1 AND user_id = $2", [
+    familyId,
+    userId,
+  ])
+  return result.rows.length > 0
+}
 
-// Get family info
+// All routes require authentication. Users can belong to several families: a request
+// names its family with ?family_id or X-Family-Id, else the default (or only) family is used.
+router.use(authenticateToken, parseFamilyId)
+
+// List the user's families with their role in each
 router.get(
-  "/info",
+  "/list",
   asyncHandler(async (req, res) => {
     const result = await query(
-      `SELECT f.* FROM families f 
-     JOIN family_members fm ON f.id = fm.family_id 
-     WHERE fm.user_id = $1`,
+      `SELECT f.id, f.name, f.timezone, f.week_start_day, fm.role, fm.joined_at,
+        (f.id = u.default_family_id) IS TRUE as is_default,
+        (SELECT COUNT(*) FROM family_members m WHERE m.family_id = f.id)::int as member_count
+       FROM families f
+       JOIN family_members fm ON f.id = fm.family_id
+       JOIN users u ON fm.user_id = u.id
+       WHERE fm.user_id = $1
+       ORDER BY fm.joined_at`,
       [req.user.id],
     )
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "You are not part of any family" })
+    res.json(result.rows)
+  }),
+)
+
+// Choose the family used when a request doesn't name one: { family_id } (null clears it)
+router.put(
+  "/default",
+  asyncHandler(async (req, res) => {
+    const { family_id } = req.body
+
+    if (family_id !== null && (!Number.isInteger(family_id) || family_id < 1)) {
+      return res.status(400).json({ error: "family_id must be a family ID or null" })
     }
 
-    res.json(result.rows[0])
+    if (family_id !== null && !(await isFamilyMember(family_id, req.user.id))) {
+      return res.status(404).json({ error: "Family not found" })
+    }
+
+    await query("UPDATE users SET default_family_id = $1 WHERE id = $2", [family_id, req.user.id])
+
+    res.json({ default_family_id: family_id })
+  }),
+)
+
+// Get family info, with the user's role in it and what that role allows
+router.get(
+  "/info",
+  requireFamilyMember,
+  asyncHandler(async (req, res) => {
+    res.json({ ...req.family, permissions: getRolePermissions(req.family.role) })
   }),
 )
 
 // Create family
 router.post(
   "/create",
+  requireVerifiedEmail,
   validateFamily,
   asyncHandler(async (req, res) => {
     const { name } = req.body
 
     const result = await withTransaction(async (client) => {
-      const existingMember = await client.query("SELECT id FROM family_members WHERE user_id = $1", [req.user.id])
-
-      if (existingMember.rows.length > 0) {
-        throw new Error("You are already a member of a family")
+      if (!(await canJoinAnotherFamily(client, req.user.id))) {
+        throw createError(400, `You can belong to at most ${MAX_FAMILIES_PER_USER} families`)
       }
 
-      const invitationCode = generateInvitationCode()
-
+      // A new family starts out on its creator's time zone and week start
       const familyResult = await client.query(
-        "INSERT INTO families (name, created_by, invitation_code) VALUES ($1, $2, $3) RETURNING *",
-        [name.trim(), req.user.id, invitationCode],
+        `INSERT INTO families (name, created_by, timezone, week_start_day)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [name.trim(), req.user.id, req.user.timezone, req.user.week_start_day],
       )
 
       const newFamily = familyResult.rows[0]
 
-      await client.query("INSERT INTO family_members (family_id, user_id) VALUES ($1, $2)", [newFamily.id, req.user.id])
+      await client.query("INSERT INTO family_members (family_id, user_id, role) VALUES ($1, $2, 'owner')", [
+        newFamily.id,
+        req.user.id,
+      ])
 
-      return newFamily
+      // Start the family off with a shareable invitation on the default settings
+      const { fields } = parseInvitationInput()
+      const { invitation, code } = await createInvitation(client, newFamily.id, fields, req.user.id)
+
+      return { family: newFamily, invitation, code }
     })
 
     if (isDev) {
-      console.log("✅ Family created:", { id: result.id, name: name.trim() }) // Removed invitation_code
+      console.log("✅ Family created:", { id: result.family.id, name: name.trim() }) // Removed invitation_code
     }
 
     res.status(201).json({
       message: "Family created successfully",
-      family_id: result.id,
-      name: result.name,
-      invitation_code: result.invitation_code, // This is returned but not logged
+      family_id: result.family.id,
+      name: result.family.name,
+      invitation_code: result.code, // This is returned but not logged
+      invitation: result.invitation,
     })
   }),
 )
 
-// Join family
+// Join family with an invitation code: { invitationCode }
+// Invitations that require approval file a join request instead (202).
 router.post(
   "/join",
+  invitationLimiters.joinByIp,
+  invitationLimiters.joinByUser,
+  requireVerifiedEmail,
   asyncHandler(async (req, res) => {
     const { invitationCode } = req.body
 
-    if (!invitationCode || invitationCode.trim().length === 0) {
+    if (typeof invitationCode !== "string" || invitationCode.trim().length === 0) {
       return res.status(400).json({ error: "Invitation code is required" })
     }
 
-    const result = await withTransaction(async (client) => {
-      const existingMember = await client.query("SELECT id FROM family_members WHERE user_id = $1", [req.user.id])
+    const outcome = await withTransaction((client) => redeemInvitation(client, invitationCode, req.user))
 
-      if (existingMember.rows.length > 0) {
-        throw new Error("You are already a member of a family")
-      }
-
-      const familyResult = await client.query("SELECT * FROM families WHERE invitation_code = $1", [
-        invitationCode.trim().toUpperCase(),
-      ])
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
 
-      if (familyResult.rows.length === 0) {
-        throw new Error("Invalid invitation code")
+    if (!outcome.joined) {
+      if (isDev) {
+        console.log("📨 Join request filed for a family.")
       }
 
-      const family = familyResult.rows[0]
-
-      await client.query("INSERT INTO family_members (family_id, user_id) VALUES ($1, $2)", [family.id, req.user.id])
-
-      return family
-    })
+      return res.status(202).json({
+        message: "Your request to join was sent to the family admins",
+        family_id: outcome.family.id,
+        name: outcome.family.name,
+        request: outcome.request,
+      })
+    }
 
     if (isDev) {
       console.log("✅ User joined a family.") // Removed userId and familyId
@@ -110,55 +207,484 @@ router.post(
 
     res.json({
       message: "Successfully joined family",
-      family_id: result.id,
-      name: result.name,
+      family_id: outcome.family.id,
+      name: outcome.family.name,
     })
   }),
 )
 
+const parseRecordId = (value) => {
+  const id = Number(value)
+  return Number.isInteger(id) && id > 0 ? id : null
+}
+
+// List the family's invitations with their status (owner and admins)
+router.get(
+  "/invitations",
+  requireFamilyPermission("members:invite"),
+  asyncHandler(async (req, res) => {
+    res.json(await listInvitations({ query }, req.family.id))
+  }),
+)
+
+// Create an invitation: { expires_in_hours?, max_uses?, email?, requires_approval? }
+// With an email, the code is sent there and only that account can use it.
+// The code is only ever shown in this response.
+router.post(
+  "/invitations",
+  requireFamilyPermission("members:invite"),
+  asyncHandler(async (req, res) => {
+    const parsed = parseInvitationInput(req.body)
+
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+
+    const outcome = await withTransaction((client) =>
+      createInvitation(client, req.family.id, parsed.fields, req.user.id),
+    )
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    if (outcome.invitation.email) {
+      await sendInvitationEmail(outcome, req.user.username, req.family.name)
+    }
+
+    if (isDev) {
+      console.log("🎟️ Family invitation created:", { emailed: !!outcome.invitation.email })
+    }
+
+    res.status(201).json({ ...outcome.invitation, code: outcome.code })
+  }),
+)
+
+// Replace an invitation's code and restart its expiry: { expires_in_hours? }
+// The old code stops working; emailed invitations are sent again.
+router.post(
+  "/invitations/:invitationId/regenerate",
+  requireFamilyPermission("members:invite"),
+  asyncHandler(async (req, res) => {
+    const invitationId = parseRecordId(req.params.invitationId)
+    const parsed = parseInvitationInput(req.body, { regenerate: true })
+
+    if (!invitationId) {
+      return res.status(400).json({ error: "Invalid invitation ID format" })
+    }
+
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+
+    const outcome = await withTransaction((client) =>
+      regenerateInvitation(client, req.family.id, invitationId, parsed.fields),
+    )
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    if (outcome.invitation.email) {
+      await sendInvitationEmail(outcome, req.user.username, req.family.name)
+    }
+
+    res.json({ ...outcome.invitation, code: outcome.code })
+  }),
+)
+
+// Revoke an invitation
+router.delete(
+  "/invitations/:invitationId",
+  requireFamilyPermission("members:invite"),
+  asyncHandler(async (req, res) => {
+    const invitationId = parseRecordId(req.params.invitationId)
+
+    if (!invitationId) {
+      return res.status(400).json({ error: "Invalid invitation ID format" })
+    }
+
+    if (!(await revokeInvitation({ query }, req.family.id, invitationId))) {
+      return res.status(404).json({ error: "Invitation not found" })
+    }
+
+    res.json({ message: "Invitation revoked successfully" })
+  }),
+)
+
+// List pending join requests (owner and admins)
+router.get(
+  "/join-requests",
+  requireFamilyPermission("members:invite"),
+  asyncHandler(async (req, res) => {
+    res.json(await listJoinRequests({ query }, req.family.id))
+  }),
+)
+
+// Approve (adding the user to the family) or reject a pending join request
+const decideJoinRequestRoute = (approve) =>
+  asyncHandler(async (req, res) => {
+    const requestId = parseRecordId(req.params.requestId)
+
+    if (!requestId) {
+      return res.status(400).json({ error: "Invalid join request ID format" })
+    }
+
+    const outcome = await withTransaction((client) =>
+      decideJoinRequest(client, req.family.id, requestId, approve, req.user.id),
+    )
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    if (isDev) {
+      console.log("📨 Join request decided:", { status: outcome.request.status })
+    }
+
+    res.json(outcome.request)
+  })
+
+router.post(
+  "/join-requests/:requestId/approve",
+  requireFamilyPermission("members:invite"),
+  decideJoinRequestRoute(true),
+)
+router.post(
+  "/join-requests/:requestId/reject",
+  requireFamilyPermission("members:invite"),
+  decideJoinRequestRoute(false),
+)
+
+// Update family settings (owner and admins): rollover_mode, timezone, week_start_day
+router.put(
+  "/settings",
+  requireFamilyPermission("family:settings"),
+  asyncHandler(async (req, res) => {
+    const settings = parseWeekSettings(req.body)
+
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error })
+    }
+
+    const result = await withTransaction(async (client) => {
+      await client.query("SELECT id FROM families WHERE id = $1 FOR UPDATE", [req.family.id])
+
+      const saved = await saveWeekSettings(client, "families", req.family.id, settings.fields)
+      return { id: req.family.id, name: req.family.name, ...saved }
+    })
+
+    res.json(result)
+  }),
+)
+
 // Get family members
 router.get(
   "/members",
+  requireFamilyMember,
   asyncHandler(async (req, res) => {
     const result = await query(
-      `SELECT u.id, u.username, u.email 
+      `SELECT u.id, u.username, u.email, fm.role, fm.joined_at
      FROM users u
-     JOIN family_members fm1 ON u.id = fm1.user_id
-     JOIN family_members fm2 ON fm1.family_id = fm2.family_id
-     WHERE fm2.user_id = $1`,
-      [req.user.id],
+     JOIN family_members fm ON u.id = fm.user_id
+     WHERE fm.family_id = $1
+     ORDER BY CASE fm.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 WHEN 'member' THEN 2 ELSE 3 END, fm.joined_at`,
+      [req.family.id],
     )
 
     res.json(result.rows)
   }),
 )
 
-// Get family tasks
+// Change a member's role: { role: admin|member|child }
+// Owners and admins can manage members ranked below them, and only hand out roles below their own.
+router.put(
+  "/members/:userId/role",
+  requireFamilyPermission("members:roles"),
+  asyncHandler(async (req, res) => {
+    const userId = Number(req.params.userId)
+
+    if (!Number.isInteger(userId) || userId < 1) {
+      return res.status(400).json({ error: "Invalid user ID format" })
+    }
+
+    const outcome = await withTransaction((client) =>
+      changeMemberRole(client, req.family, req.user.id, userId, req.body.role),
+    )
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    if (isDev) {
+      console.log("👥 Family role changed:", { role: outcome.member.role })
+    }
+
+    res.json(outcome.member)
+  }),
+)
+
+// Hand the family to another member: { user_id }. The current owner becomes an admin.
+router.post(
+  "/transfer-ownership",
+  requireFamilyPermission("family:transfer"),
+  asyncHandler(async (req, res) => {
+    const { user_id } = req.body
+
+    if (!Number.isInteger(user_id) || user_id < 1) {
+      return res.status(400).json({ error: "user_id must be a user ID" })
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      await client.query("SELECT id FROM families WHERE id = $1 FOR UPDATE", [req.family.id])
+      return transferOwnership(client, req.family.id, user_id)
+    })
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    if (isDev) {
+      console.log("👑 Family ownership transferred")
+    }
+
+    res.json({ message: "Ownership transferred successfully", owner: outcome.owner })
+  }),
+)
+
+// Leave the family. Your pending tasks are handed off as requested:
+// { task_action: unassign (default)|reassign|delete, reassign_to? }
+// The owner has to transfer ownership (or disband the family) instead.
+router.post(
+  "/leave",
+  requireFamilyMember,
+  asyncHandler(async (req, res) => {
+    const handoff = parseTaskHandoff(req.body)
+
+    if (handoff.error) {
+      return res.status(400).json({ error: handoff.error })
+    }
+
+    const outcome = await withTransaction((client) => removeMember(client, req.family.id, req.user.id, handoff))
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    if (isDev) {
+      console.log("👋 Member left a family:", outcome.tasks)
+    }
+
+    res.json({ message: "You left the family", tasks: outcome.tasks })
+  }),
+)
+
+// Remove a member (owners and admins, for members ranked below them); same body as /leave
+router.delete(
+  "/members/:userId",
+  requireFamilyPermission("members:remove"),
+  asyncHandler(async (req, res) => {
+    const userId = Number(req.params.userId)
+    const handoff = parseTaskHandoff(req.body)
+
+    if (!Number.isInteger(userId) || userId < 1) {
+      return res.status(400).json({ error: "Invalid user ID format" })
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: "Use POST /api/family/leave to leave the family" })
+    }
+
+    if (handoff.error) {
+      return res.status(400).json({ error: handoff.error })
+    }
+
+    const outcome = await withTransaction((client) =>
+      removeMember(client, req.family.id, userId, handoff, { actorRole: req.family.role }),
+    )
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    await sendEmail(
+      outcome.member.email,
+      `You were removed from ${req.family.name} - TaskFlow`,
+      emailTemplates.familyMemberRemoved(escapeHtml(outcome.member.username), escapeHtml(req.family.name)),
+    )
+
+    if (isDev) {
+      console.log("👋 Member removed from a family:", outcome.tasks)
+    }
+
+    res.json({ message: "Member removed successfully", tasks: outcome.tasks })
+  }),
+)
+
+// Disband the family (owner only). Its tasks, series, tags and comments are deleted with it,
+// and every other member is told by email.
+router.delete(
+  "/",
+  requireFamilyPermission("family:disband"),
+  asyncHandler(async (req, res) => {
+    const members = await withTransaction(async (client) => {
+      const membersResult = await client.query(
+        `SELECT u.username, u.email FROM family_members fm
+         JOIN users u ON fm.user_id = u.id
+         WHERE fm.family_id = $1 AND fm.user_id <> $2`,
+        [req.family.id, req.user.id],
+      )
+
+      await client.query("DELETE FROM families WHERE id = $1", [req.family.id])
+
+      return membersResult.rows
+    })
+
+    for (const member of members) {
+      await sendEmail(
+        member.email,
+        `${req.family.name} was disbanded - TaskFlow`,
+        emailTemplates.familyDisbanded(escapeHtml(member.username), escapeHtml(req.family.name)),
+      )
+    }
+
+    if (isDev) {
+      console.log("🗑️ Family disbanded:", { notified_members: members.length })
+    }
+
+    res.json({ message: "Family disbanded successfully", notified_members: members.length })
+  }),
+)
+
+// Get family tasks, one page at a time
+// Takes the same filters, sorting and cursor paging as GET /api/tasks
 router.get(
   "/tasks",
+  requireFamilyMember,
   asyncHandler(async (req, res) => {
-    const result = await query(
-      `SELECT ft.*, u.username as assigned_username
-     FROM family_tasks ft
-     JOIN users u ON ft.assigned_to = u.id
-     JOIN family_members fm ON ft.family_id = fm.family_id
-     WHERE fm.user_id = $1
-     ORDER BY 
-       CASE WHEN ft.status = 'pending' THEN 0 ELSE 1 END, 
-       ft.priority DESC, 
-       ft.created_at DESC`,
-      [req.user.id],
-    )
+    const options = parseTaskListQuery(req.query)
 
-    res.json(result.rows)
+    if (options.error) {
+      return res.status(400).json({ error: options.error })
+    }
+
+    const result = await listTasks({
+      from: `family_tasks ft
+       LEFT JOIN users u ON ft.assigned_to = u.id`,
+      alias: "ft",
+      select: `ft.*, u.username as assigned_username, ${checklistProgressSql("ft", "family_tasks")},
+        ${tagsJsonSql("ft", "family")}`,
+      where: "ft.family_id = $1 AND ft.archived = FALSE",
+      params: [req.family.id],
+      timezone: req.user.timezone,
+      tagScope: "family",
+      options,
+    })
+
+    res.json(result)
+  }),
+)
+
+const FAMILY_ARCHIVE = { table: "family_tasks", ownerColumn: "family_id" }
+
+// What each tag action needs from the member's role
+const TAG_PERMISSIONS = { create: "tags:create", manage: "tags:manage" }
+
+// Tags shared by the family (see routes/tags.js).
+// Every member can see them, members can create them, and owners and admins rename or delete them.
+router.use(
+  "/tags",
+  createTagRouter({
+    scope: "family",
+    findOwner: async (req, { action }) => {
+      const { family, status, error } = await resolveFamily(req)
+
+      if (error) {
+        return { status, error }
+      }
+
+      if (TAG_PERMISSIONS[action] && !hasFamilyPermission(family.role, TAG_PERMISSIONS[action])) {
+        return { status: 403, error: "Your family role does not allow this action" }
+      }
+
+      return { ownerId: family.id }
+    },
+  }),
+)
+
+// Browse archived family tasks
+// Optional: ?from=YYYY-MM-DD&to=YYYY-MM-DD (week range), ?status, ?priority, ?search, ?page, ?limit
+router.get(
+  "/tasks/archived",
+  requireFamilyMember,
+  asyncHandler(async (req, res) => {
+    const { filters, error } = parseArchiveFilters(req.query)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const archive = await listArchived({
+      ...FAMILY_ARCHIVE,
+      ownerId: req.family.id,
+      filters,
+      ...parsePagination(req.query),
+    })
+
+    res.json(archive)
+  }),
+)
+
+// Permanently delete archived family tasks (owner and admins)
+// Body { ids } and/or the listing filters; ?all=true purges the whole archive
+router.delete(
+  "/tasks/archived",
+  requireFamilyPermission("tasks:manage"),
+  asyncHandler(async (req, res) => {
+    const { filters, ids, error } = parsePurgeRequest(req.query, req.body)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const purgedCount = await purgeArchived({ ...FAMILY_ARCHIVE, ownerId: req.family.id, filters, ids })
+
+    if (isDev) {
+      console.log("🗑️ Archived family tasks purged:", purgedCount)
+    }
+
+    res.json({ message: "Archived tasks deleted permanently", purged_count: purgedCount })
   }),
 )
 
-// Create family task
+// Restore an archived family task into the current week (owner and admins)
+router.post(
+  "/tasks/:taskId/restore",
+  validateTaskId,
+  requireFamilyPermission("tasks:manage"),
+  asyncHandler(async (req, res) => {
+    const task = await restoreArchived({
+      ...FAMILY_ARCHIVE,
+      ownerId: req.family.id,
+      taskId: req.params.taskId,
+      weekStart: getCurrentWeekStart(req.family),
+    })
+
+    if (!task) {
+      return res.status(404).json({ error: "Archived task not found" })
+    }
+
+    res.json(task)
+  }),
+)
+
+// Create family task (every role except child)
 router.post(
   "/tasks",
+  validateDueAt,
+  requireFamilyPermission("tasks:create"),
   asyncHandler(async (req, res) => {
-    const { title, description, priority, assigned_to } = req.body
+    const { title, description, priority, assigned_to, due_at, recurrence } = req.body
 
     if (!title || title.trim().length === 0) {
       return res.status(400).json({ error: "Task title is required" })
@@ -168,28 +694,42 @@ router.post(
       return res.status(400).json({ error: "Assigned user is required" })
     }
 
-    const familyResult = await query(
-      `SELECT f.* FROM families f 
-     JOIN family_members fm ON f.id = fm.family_id 
-     WHERE fm.user_id = $1`,
-      [req.user.id],
-    )
+    const { family } = req
 
-    if (familyResult.rows.length === 0) {
-      return res.status(404).json({ error: "You are not part of any family" })
+    if (!(await isFamilyMember(family.id, assigned_to))) {
+      return res.status(400).json({ error: "Tasks can only be assigned to family members" })
     }
 
-    const family = familyResult.rows[0]
+    if (recurrence) {
+      const rule = normalizeRecurrence(recurrence, today(family))
+
+      if (rule.error) {
+        return res.status(400).json({ error: rule.error })
+      }
+
+      const { series, task } = await withTransaction((client) =>
+        createSeries(
+          client,
+          {
+            family_id: family.id,
+            created_by: req.user.id,
+            assigned_to,
+            title: title.trim(),
+            description: description?.trim() || null,
+            priority: priority || 1,
+          },
+          rule,
+        ),
+      )
 
-    if (family.created_by !== req.user.id) {
-      return res.status(403).json({ error: "Only the family leader can create tasks" })
+      return res.status(201).json({ ...task, series })
     }
 
-    const weekStart = getCurrentWeekStart()
+    const weekStart = getCurrentWeekStart(family)
 
     const result = await query(
-      `INSERT INTO family_tasks (family_id, created_by, title, description, priority, assigned_to, week_start) 
-     VALUES ($1, $2, $3, $4, $5, $6, $7) 
+      `INSERT INTO family_tasks (family_id, created_by, title, description, priority, assigned_to, week_start, due_at) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
      RETURNING *`,
       [
         family.id,
@@ -198,14 +738,15 @@ router.post(
         description?.trim() || null,
         priority || 1,
         assigned_to,
-        weekStart.toISOString().split("T")[0],
+        weekStart,
+        due_at || null,
       ],
     )
 
     const taskWithUsername = await query(
       `SELECT ft.*, u.username as assigned_username
      FROM family_tasks ft
-     JOIN users u ON ft.assigned_to = u.id
+     LEFT JOIN users u ON ft.assigned_to = u.id
      WHERE ft.id = $1`,
       [result.rows[0].id],
     )
@@ -218,79 +759,477 @@ router.post(
   }),
 )
 
-// Update family task
+// Apply one action to many family tasks in a single transaction
+// { ids, action: complete|reopen|set_priority|reassign|move_to_week|archive|delete, priority?, assigned_to?, week_start? }
+// Owners and admins may do anything; other members may only complete or reopen their own tasks.
+router.post(
+  "/tasks/bulk",
+  requireFamilyMember,
+  asyncHandler(async (req, res) => {
+    const request = parseBulkRequest(req.body, { allowReassign: true })
+
+    if (request.error) {
+      return res.status(400).json({ error: request.error })
+    }
+
+    const { family } = req
+
+    if (request.action === "reassign" && !(await isFamilyMember(family.id, request.assigned_to))) {
+      return res.status(400).json({ error: "Tasks can only be assigned to family members" })
+    }
+
+    const assigneeActions = ["complete", "reopen"]
+
+    const report = await withTransaction(async (client) => {
+      const tasksResult = await client.query(
+        "SELECT * FROM family_tasks WHERE id = ANY($1::int[]) AND family_id = $2 ORDER BY id FOR UPDATE",
+        [request.ids, family.id],
+      )
+
+      return runBulkAction(client, {
+        table: "family_tasks",
+        request,
+        tasks: tasksResult.rows,
+        authorize: (task) => {
+          const access = getTaskAccess(family.role, task, req.user.id)
+          if (access === "manage") return null
+          if (access && assigneeActions.includes(request.action)) return null
+          return "You don't have permission to update this task"
+        },
+        weekStartDay: family.week_start_day,
+      })
+    })
+
+    if (isDev) {
+      console.log("📦 Bulk family task update:", { action: request.action, ...report.summary })
+    }
+
+    res.json(report)
+  }),
+)
+
+// Load a family task with its assignee's name
+const getFamilyTask = async (taskId) => {
+  const result = await query(
+    `SELECT ft.*, u.username as assigned_username, ${checklistProgressSql("ft", "family_tasks")},
+       ${tagsJsonSql("ft", "family")}
+     FROM family_tasks ft
+     LEFT JOIN users u ON ft.assigned_to = u.id
+     WHERE ft.id = $1`,
+    [taskId],
+  )
+  return result.rows[0]
+}
+
+// Load a family task the user can see, with their role in its family (member_role).
+// When the request names a family, the task has to belong to it.
+const findFamilyTask = async (client, taskId, req, { lock = false } = {}) => {
+  const result = await client.query(
+    `SELECT ft.*, f.name as family_name, fm.role as member_role
+     FROM family_tasks ft
+     JOIN families f ON ft.family_id = f.id
+     JOIN family_members fm ON f.id = fm.family_id
+     WHERE ft.id = $1 AND fm.user_id = $2 AND ($3::int IS NULL OR ft.family_id = $3)
+     ${lock ? "FOR UPDATE OF ft" : ""}`,
+    [taskId, req.user.id, req.familyId],
+  )
+  return result.rows[0]
+}
+
+// Whether a PUT body changes anything besides the status (children may only complete or reopen)
+const changesBeyondStatus = (task, { title, description, priority, assigned_to, due_at }) => {
+  const time = (value) => (value ? new Date(value).getTime() : null)
+
+  return (
+    title !== task.title ||
+    description !== task.description ||
+    priority !== task.priority ||
+    assigned_to !== task.assigned_to ||
+    time(due_at) !== time(task.due_at)
+  )
+}
+
+const NO_TASK_PERMISSION = "You don't have permission to update this task"
+const STATUS_ONLY = "Your family role only allows completing or reopening this task"
+const MANAGERS_REASSIGN = "Only family owners and admins can reassign tasks"
+
+// Get a single family task; the ETag header carries its version
+router.get(
+  "/tasks/:taskId",
+  validateTaskId,
+  asyncHandler(async (req, res) => {
+    if (!(await findFamilyTask({ query }, req.params.taskId, req))) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    const task = await getFamilyTask(req.params.taskId)
+
+    setTaskEtag(res, task)
+    res.json(task)
+  }),
+)
+
+// Update family task. Omitted fields keep their values; requires If-Match with the task's ETag.
 router.put(
   "/tasks/:taskId",
   validateTaskId,
+  validateDueAt,
   asyncHandler(async (req, res) => {
     const { taskId } = req.params
-    const { title, description, priority, status, assigned_to } = req.body
 
-    const taskResult = await query(
-      `SELECT ft.*, f.created_by as family_leader
-     FROM family_tasks ft
-     JOIN families f ON ft.family_id = f.id
-     JOIN family_members fm ON f.id = fm.family_id
-     WHERE ft.id = $1 AND fm.user_id = $2`,
-      [taskId, req.user.id],
-    )
+    const task = await findFamilyTask({ query }, taskId, req)
 
-    if (taskResult.rows.length === 0) {
+    if (!task) {
       return res.status(404).json({ error: "Task not found" })
     }
 
-    const task = taskResult.rows[0]
+    const access = getTaskAccess(task.member_role, task, req.user.id)
 
-    if (task.family_leader !== req.user.id && task.assigned_to !== req.user.id) {
-      return res.status(403).json({ error: "You don't have permission to update this task" })
+    if (!access) {
+      return res.status(403).json({ error: NO_TASK_PERMISSION })
     }
 
-    const completedAt = status === "completed" ? new Date() : null
+    const precondition = checkIfMatch(req, task, { compat: true })
+
+    if (precondition !== "ok") {
+      return sendPreconditionError(res, precondition, await getFamilyTask(taskId))
+    }
+
+    // Fields the client leaves out keep their current values
+    const {
+      title = task.title,
+      description = task.description,
+      priority = task.priority,
+      status = task.status,
+      assigned_to = task.assigned_to,
+      due_at = task.due_at,
+    } = req.body
+
+    if (access === "complete" && changesBeyondStatus(task, { title, description, priority, assigned_to, due_at })) {
+      return res.status(403).json({ error: STATUS_ONLY })
+    }
+
+    if (access !== "manage" && assigned_to !== task.assigned_to) {
+      return res.status(403).json({ error: MANAGERS_REASSIGN })
+    }
+
+    if (assigned_to !== task.assigned_to && !(await isFamilyMember(task.family_id, assigned_to))) {
+      return res.status(400).json({ error: "Tasks can only be assigned to family members" })
+    }
+
+    // Keep the original completion time unless the status actually changes
+    const completedAt = status !== "completed" ? null : task.status === "completed" ? task.completed_at : new Date()
 
     const result = await query(
       `UPDATE family_tasks 
-     SET title = $1, description = $2, priority = $3, status = $4, assigned_to = $5, completed_at = $6, updated_at = CURRENT_TIMESTAMP 
-     WHERE id = $7 
+     SET title = $1, description = $2, priority = $3, status = $4, assigned_to = $5, completed_at = $6, 
+         due_at = $8, reminder_sent_at = CASE WHEN due_at IS DISTINCT FROM $8 THEN NULL ELSE reminder_sent_at END, 
+         updated_at = CURRENT_TIMESTAMP 
+     WHERE id = $7 AND version = $9
      RETURNING *`,
-      [title, description, priority, status, assigned_to, completedAt, taskId],
+      [title, description, priority, status, assigned_to, completedAt, taskId, due_at, task.version],
     )
 
-    const updatedTaskResult = await query(
-      `SELECT ft.*, u.username as assigned_username
-     FROM family_tasks ft
-     JOIN users u ON ft.assigned_to = u.id
-     WHERE ft.id = $1`,
-      [taskId],
-    )
+    if (result.rows.length === 0) {
+      return sendPreconditionError(res, "mismatch", await getFamilyTask(taskId))
+    }
+
+    // Completing a recurring task schedules its next occurrence
+    if (task.series_id && status === "completed" && task.status !== "completed") {
+      await withTransaction((client) => advanceSeries(client, task.series_id))
+    }
+
+    const updatedTask = await getFamilyTask(taskId)
 
     if (isDev) {
       console.log("✅ Family task updated") // Removed taskId/status
     }
 
-    res.json(updatedTaskResult.rows[0])
+    setTaskEtag(res, updatedTask)
+    res.json(updatedTask)
   }),
 )
 
-// Delete family task
+// Checklist items of a family task (see routes/checklists.js).
+// Any member can read them; owners, admins and a member assignee can change them (not a child,
+// whose role only allows completing the task).
+router.use(
+  "/tasks/:taskId/checklist",
+  validateTaskId,
+  createChecklistRouter({
+    table: "family_tasks",
+    findTask: async (client, req, { write }) => {
+      const task = await findFamilyTask(client, req.params.taskId, req, { lock: write })
+
+      if (!task) {
+        return { status: 404, error: "Task not found" }
+      }
+
+      if (write && !["manage", "update"].includes(getTaskAccess(task.member_role, task, req.user.id))) {
+        return { status: 403, error: NO_TASK_PERMISSION }
+      }
+
+      return { task }
+    },
+  }),
+)
+
+// Discussion on a family task (see routes/comments.js).
+// Only members of the task's family can read and post; authors edit their own comments,
+// and owners and admins can delete any comment.
+router.use(
+  "/tasks/:taskId/comments",
+  validateTaskId,
+  createCommentRouter({
+    findTask: async (client, req) => {
+      const task = await findFamilyTask(client, req.params.taskId, req)
+      return task ? { task } : { status: 404, error: "Task not found" }
+    },
+  }),
+)
+
+// Attach (POST { tag_ids }) and detach (DELETE /:tagId) family tags (owners, admins, or a member assignee)
+router.use(
+  "/tasks/:taskId/tags",
+  validateTaskId,
+  createTaskTagRouter({
+    scope: "family",
+    findTask: async (req) => {
+      const task = await findFamilyTask({ query }, req.params.taskId, req)
+
+      if (!task) {
+        return { status: 404, error: "Task not found" }
+      }
+
+      if (!["manage", "update"].includes(getTaskAccess(task.member_role, task, req.user.id))) {
+        return { status: 403, error: NO_TASK_PERMISSION }
+      }
+
+      return { task, ownerId: task.family_id }
+    },
+  }),
+)
+
+// Partially update a family task (owners, admins or the assignee): only the fields sent change.
+// Requires If-Match with the task's ETag; 412 if another member changed it in the meantime.
+router.patch(
+  "/tasks/:taskId",
+  validateTaskId,
+  asyncHandler(async (req, res) => {
+    const patch = parseTaskPatch(req.body, { allowAssignee: true })
+
+    if (patch.error) {
+      return res.status(400).json({ error: patch.error })
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const task = await findFamilyTask(client, req.params.taskId, req, { lock: true })
+
+      if (!task) return { status: 404, error: "Task not found" }
+
+      const access = getTaskAccess(task.member_role, task, req.user.id)
+
+      if (!access) return { status: 403, error: NO_TASK_PERMISSION }
+
+      if (access === "complete" && Object.keys(patch.fields).some((field) => field !== "status")) {
+        return { status: 403, error: STATUS_ONLY }
+      }
+
+      const precondition = checkIfMatch(req, task)
+      if (precondition !== "ok") return { precondition }
+
+      const { assigned_to } = patch.fields
+      if (access !== "manage" && assigned_to !== undefined && assigned_to !== task.assigned_to) {
+        return { status: 403, error: MANAGERS_REASSIGN }
+      }
+
+      if (assigned_to !== undefined && !(await isFamilyMember(task.family_id, assigned_to, client))) {
+        return { status: 400, error: "Tasks can only be assigned to family members" }
+      }
+
+      await applyTaskPatch(client, "family_tasks", task, patch.fields)
+
+      // Completing a recurring task schedules its next occurrence
+      if (task.series_id && patch.fields.status === "completed" && task.status !== "completed") {
+        await advanceSeries(client, task.series_id)
+      }
+
+      return {}
+    })
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    const task = await getFamilyTask(req.params.taskId)
+
+    if (outcome.precondition) {
+      return sendPreconditionError(res, outcome.precondition, task)
+    }
+
+    if (isDev) {
+      console.log("✅ Family task patched")
+    }
+
+    setTaskEtag(res, task)
+    res.json(task)
+  }),
+)
+
+// List the family's recurring series
+router.get(
+  "/series",
+  requireFamilyMember,
+  asyncHandler(async (req, res) => {
+    const result = await query(
+      `SELECT ts.*, u.username as assigned_username
+     FROM task_series ts
+     LEFT JOIN users u ON ts.assigned_to = u.id
+     WHERE ts.family_id = $1
+     ORDER BY ts.active DESC, ts.created_at DESC`,
+      [req.family.id],
+    )
+
+    res.json(result.rows)
+  }),
+)
+
+// Load a family series (of the family the request names, if any),
+// but only for members who can manage the family's tasks
+const findManagedSeries = async (client, seriesId, req) => {
+  const result = await client.query(
+    `SELECT ts.*, fm.role as member_role FROM task_series ts
+     JOIN family_members fm ON ts.family_id = fm.family_id
+     WHERE ts.id = $1 AND fm.user_id = $2 AND ($3::int IS NULL OR ts.family_id = $3)
+     FOR UPDATE OF ts`,
+    [seriesId, req.user.id, req.familyId],
+  )
+  const { member_role, ...series } = result.rows[0] || {}
+
+  return hasFamilyPermission(member_role, "tasks:manage") ? series : undefined
+}
+
+// Edit a family series
+router.patch(
+  "/series/:seriesId",
+  validateSeriesId,
+  asyncHandler(async (req, res) => {
+    const outcome = await withTransaction(async (client) => {
+      const existing = await findManagedSeries(client, req.params.seriesId, req)
+
+      if (!existing) {
+        return { status: 404, error: "Series not found or you don't have permission to edit it" }
+      }
+
+      // A new rule starts on the family's today, as when the series was created
+      const familyResult = await client.query("SELECT timezone FROM families WHERE id = $1", [existing.family_id])
+      const changes = parseSeriesChanges(req.body, familyResult.rows[0])
+
+      if (changes.error) {
+        return { status: 400, error: changes.error }
+      }
+
+      const { assigned_to } = changes.fields
+      if (
+        assigned_to !== undefined &&
+        assigned_to !== existing.assigned_to &&
+        !(await isFamilyMember(existing.family_id, assigned_to, client))
+      ) {
+        return { status: 400, error: "Tasks can only be assigned to family members" }
+      }
+
+      return { series: await updateSeries(client, existing, changes.fields, changes.rule) }
+    })
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error })
+    }
+
+    res.json(outcome.series)
+  }),
+)
+
+// Stop a family series (?delete_pending=true also removes upcoming pending tasks)
+router.delete(
+  "/series/:seriesId",
+  validateSeriesId,
+  asyncHandler(async (req, res) => {
+    const deletePending = req.query.delete_pending === "true"
+
+    const removedCount = await withTransaction(async (client) => {
+      const existing = await findManagedSeries(client, req.params.seriesId, req)
+      return existing ? stopSeries(client, existing, deletePending) : null
+    })
+
+    if (removedCount === null) {
+      return res.status(404).json({ error: "Series not found or you don't have permission to stop it" })
+    }
+
+    res.json({ message: "Series stopped successfully", deleted_tasks: removedCount })
+  }),
+)
+
+// Skip a single occurrence of a family series
+router.post(
+  "/series/:seriesId/skip",
+  validateSeriesId,
+  asyncHandler(async (req, res) => {
+    const { date } = req.body
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "Date (YYYY-MM-DD) is required" })
+    }
+
+    const result = await withTransaction(async (client) => {
+      const existing = await findManagedSeries(client, req.params.seriesId, req)
+      return existing ? skipOccurrence(client, existing, date) : null
+    })
+
+    if (!result) {
+      return res.status(404).json({ error: "Series not found or you don't have permission to edit it" })
+    }
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+
+    res.json({ message: "Occurrence skipped", ...result })
+  }),
+)
+
+// Delete family task (owners and admins). Requires If-Match with the task's ETag.
 router.delete(
   "/tasks/:taskId",
   validateTaskId,
   asyncHandler(async (req, res) => {
     const { taskId } = req.params
 
-    const taskResult = await query(
-      `SELECT ft.id
-     FROM family_tasks ft
-     JOIN families f ON ft.family_id = f.id
-     WHERE ft.id = $1 AND f.created_by = $2`,
-      [taskId, req.user.id],
-    )
+    const task = await findFamilyTask({ query }, taskId, req)
 
-    if (taskResult.rows.length === 0) {
+    if (!task || !hasFamilyPermission(task.member_role, "tasks:manage")) {
       return res.status(404).json({ error: "Task not found or you don't have permission to delete it" })
     }
 
-    await query("DELETE FROM family_tasks WHERE id = $1", [taskId])
+    const precondition = checkIfMatch(req, task, { compat: true })
+
+    if (precondition !== "ok") {
+      return sendPreconditionError(res, precondition, await getFamilyTask(taskId))
+    }
+
+    const result = await query("DELETE FROM family_tasks WHERE id = $1 AND version = $2 RETURNING id", [
+      taskId,
+      task.version,
+    ])
+
+    if (result.rows.length === 0) {
+      const current = await getFamilyTask(taskId)
+
+      if (!current) {
+        return res.status(404).json({ error: "Task not found or you don't have permission to delete it" })
+      }
+
+      return sendPreconditionError(res, "mismatch", current)
+    }
 
     if (isDev) {
       console.log("✅ Family task deleted") // Removed taskId
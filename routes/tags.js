@@ -0,0 +1,155 @@
+// Tag routes, for personal tags (/api/tasks/tags) and family tags (/api/family/tags),
+// and for attaching tags to a task (/api/tasks/:id/tags, /api/family/tasks/:taskId/tags)
+import express from "express"
+import { asyncHandler } from "../middleware/errorHandler.js"
+import { parseTagInput, parseTagIds, listTags, createTag, updateTag, deleteTag, attachTags, detachTag } from "../utils/tags.js"
+
+const parseId = (value) => {
+  const id = Number(value)
+  return Number.isInteger(id) && id > 0 ? id : null
+}
+
+const send = (res, outcome, successStatus = 200) => {
+  if (outcome.error) {
+    return res.status(outcome.status || 400).json({ error: outcome.error })
+  }
+  return res.status(successStatus).json(outcome)
+}
+
+/**
+ * Build the tag CRUD router for one scope.
+ * scope: "personal" or "family"
+ * findOwner(req, { action }): returns { ownerId }, or { status, error } when the user
+ * has no tags here or may not perform `action` ("read", "create" or "manage")
+ */
+export const createTagRouter = ({ scope, findOwner }) => {
+  const router = express.Router({ mergeParams: true })
+
+  // List tags with how many tasks use each
+  router.get(
+    "/",
+    asyncHandler(async (req, res) => {
+      const owner = await findOwner(req, { action: "read" })
+      if (owner.error) return send(res, owner)
+
+      res.json(await listTags(scope, owner.ownerId))
+    }),
+  )
+
+  // Create a tag: { name, color? }
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      const parsed = parseTagInput(req.body)
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+
+      const owner = await findOwner(req, { action: "create" })
+      if (owner.error) return send(res, owner)
+
+      const outcome = await createTag(scope, owner.ownerId, parsed.fields, req.user.id)
+      send(res, outcome.error ? outcome : outcome.tag, 201)
+    }),
+  )
+
+  // Rename and/or recolor a tag: { name?, color? }
+  router.patch(
+    "/:tagId",
+    asyncHandler(async (req, res) => {
+      const tagId = parseId(req.params.tagId)
+      const parsed = parseTagInput(req.body, { partial: true })
+
+      if (!tagId) {
+        return res.status(400).json({ error: "Invalid tag ID format" })
+      }
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+
+      const owner = await findOwner(req, { action: "manage" })
+      if (owner.error) return send(res, owner)
+
+      const outcome = await updateTag(scope, owner.ownerId, tagId, parsed.fields)
+      send(res, outcome.error ? outcome : outcome.tag)
+    }),
+  )
+
+  // Delete a tag; it is removed from every task that had it
+  router.delete(
+    "/:tagId",
+    asyncHandler(async (req, res) => {
+      const tagId = parseId(req.params.tagId)
+
+      if (!tagId) {
+        return res.status(400).json({ error: "Invalid tag ID format" })
+      }
+
+      const owner = await findOwner(req, { action: "manage" })
+      if (owner.error) return send(res, owner)
+
+      if (!(await deleteTag(scope, owner.ownerId, tagId))) {
+        return res.status(404).json({ error: "Tag not found" })
+      }
+
+      res.json({ message: "Tag deleted successfully" })
+    }),
+  )
+
+  return router
+}
+
+/**
+ * Build the router that attaches tags to one task.
+ * findTask(req): returns { task, ownerId } when the user may change the task's tags,
+ * or { status, error }
+ */
+export const createTaskTagRouter = ({ scope, findTask }) => {
+  const router = express.Router({ mergeParams: true })
+
+  // Attach tags: { tag_ids: [...] }; returns the task's tags
+  router.post(
+    "/",
+    asyncHandler(async (req, res) => {
+      const parsed = parseTagIds(req.body.tag_ids)
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error })
+      }
+
+      const found = await findTask(req)
+      if (found.error) return send(res, found)
+
+      send(res, await attachTags(scope, found.ownerId, found.task.id, parsed.tagIds))
+    }),
+  )
+
+  // Detach a tag; returns the task's remaining tags
+  router.delete(
+    "/:tagId",
+    asyncHandler(async (req, res) => {
+      const tagId = parseId(req.params.tagId)
+
+      if (!tagId) {
+        return res.status(400).json({ error: "Invalid tag ID format" })
+      }
+
+      const found = await findTask(req)
+      if (found.error) return send(res, found)
+
+      const outcome = await detachTag(scope, found.task.id, tagId)
+
+      if (!outcome) {
+        return res.status(404).json({ error: "Tag is not attached to this task" })
+      }
+
+      res.json(outcome)
+    }),
+  )
+
+  return router
+}
+
+export default createTagRouter
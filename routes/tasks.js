@@ -1,10 +1,28 @@
 // Personal task routes
 import express from "express"
-import { query } from "../config/database.js"
+import { query, withTransaction } from "../config/database.js"
 import { authenticateToken } from "../middleware/auth.js"
-import { validateTask, validateTaskId } from "../middleware/validation.js"
+import { validateTask, validateTaskId, validateSeriesId } from "../middleware/validation.js"
 import { asyncHandler } from "../middleware/errorHandler.js"
-import { getCurrentWeekStart } from "../utils/helpers.js"
+import { getCurrentWeekStart, addDays, parsePagination } from "../utils/helpers.js"
+import { normalizeRecurrence } from "../utils/recurrence.js"
+import {
+  today,
+  parseSeriesChanges,
+  createSeries,
+  advanceSeries,
+  skipOccurrence,
+  updateSeries,
+  stopSeries,
+} from "../utils/taskSeries.js"
+import { parseTaskListQuery, listTasks } from "../utils/taskQuery.js"
+import { parseBulkRequest, runBulkAction } from "../utils/bulkTasks.js"
+import { checklistProgressSql } from "../utils/checklists.js"
+import { createChecklistRouter } from "./checklists.js"
+import { tagsJsonSql } from "../utils/tags.js"
+import { createTagRouter, createTaskTagRouter } from "./tags.js"
+import { setTaskEtag, checkIfMatch, sendPreconditionError, parseTaskPatch, applyTaskPatch } from "../utils/taskUpdates.js"
+import { parseArchiveFilters, parsePurgeRequest, listArchived, restoreArchived, purgeArchived } from "../utils/archive.js"
 
 const router = express.Router()
 
@@ -13,38 +31,76 @@ router.use(authenticateToken)
 
 /**
  * GET /api/tasks
- * Fetch all active personal tasks
+ * Fetch active personal tasks, one page at a time
+ * Filters: ?status, ?priority, ?assigned_to, ?week_from, ?week_to, ?created_from, ?created_to,
+ * ?completed_from, ?completed_to, ?due=overdue|soon&within_hours=24, ?q (full-text search),
+ * ?tags=1,2 (tasks carrying all of these tags)
+ * Sorting: ?sort=<field>&order=asc|desc. Paging: ?limit and ?cursor (page.next_cursor)
  */
 router.get(
   "/",
   asyncHandler(async (req, res) => {
-    const result = await query(
-      `SELECT * FROM tasks 
-       WHERE user_id = $1 AND archived = FALSE 
-       ORDER BY 
-         CASE WHEN status = 'pending' THEN 0 ELSE 1 END, 
-         priority DESC, 
-         created_at DESC`,
-      [req.user.id],
-    )
-    res.json(result.rows)
+    const options = parseTaskListQuery(req.query)
+
+    if (options.error) {
+      return res.status(400).json({ error: options.error })
+    }
+
+    const result = await listTasks({
+      from: "tasks t",
+      alias: "t",
+      select: `t.*, ${checklistProgressSql("t", "tasks")}, ${tagsJsonSql("t", "personal")}`,
+      where: "t.user_id = $1 AND t.archived = FALSE",
+      params: [req.user.id],
+      timezone: req.user.timezone,
+      tagScope: "personal",
+      options,
+    })
+
+    res.json(result)
   }),
 )
 
 /**
  * POST /api/tasks
  * Create a new personal task
+ * Pass `recurrence` to create a recurring series; its first occurrence is returned.
  */
 router.post(
   "/",
   validateTask,
   asyncHandler(async (req, res) => {
-    const { title, description, priority, status } = req.body
-    const weekStart = getCurrentWeekStart()
+    const { title, description, priority, status, due_at, recurrence } = req.body
+    const weekStart = getCurrentWeekStart(req.user)
+
+    if (recurrence) {
+      const rule = normalizeRecurrence(recurrence, today(req.user))
+
+      if (rule.error) {
+        return res.status(400).json({ error: rule.error })
+      }
+
+      const { series, task } = await withTransaction((client) =>
+        createSeries(
+          client,
+          {
+            user_id: req.user.id,
+            created_by: req.user.id,
+            assigned_to: req.user.id,
+            title: title.trim(),
+            description: description?.trim() || null,
+            priority: priority || 1,
+          },
+          rule,
+        ),
+      )
+
+      return res.status(201).json({ ...task, series })
+    }
 
     const result = await query(
-      `INSERT INTO tasks (user_id, title, description, priority, status, assigned_to, week_start, completed_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+      `INSERT INTO tasks (user_id, title, description, priority, status, assigned_to, week_start, completed_at, due_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
        RETURNING *`,
       [
         req.user.id,
@@ -53,8 +109,9 @@ router.post(
         priority || 1,
         status || "pending",
         req.user.id,
-        weekStart.toISOString().split("T")[0],
+        weekStart,
         status === "completed" ? new Date() : null,
+        due_at || null,
       ],
     )
 
@@ -62,9 +119,251 @@ router.post(
   }),
 )
 
+/**
+ * GET /api/tasks/series
+ * List the user's recurring series
+ */
+router.get(
+  "/series",
+  asyncHandler(async (req, res) => {
+    const result = await query("SELECT * FROM task_series WHERE user_id = $1 ORDER BY active DESC, created_at DESC", [
+      req.user.id,
+    ])
+    res.json(result.rows)
+  }),
+)
+
+// Load a personal series owned by the requesting user
+const findOwnSeries = async (client, seriesId, userId) => {
+  const result = await client.query("SELECT * FROM task_series WHERE id = $1 AND user_id = $2 FOR UPDATE", [
+    seriesId,
+    userId,
+  ])
+  return result.rows[0]
+}
+
+/**
+ * PATCH /api/tasks/series/:seriesId
+ * Edit a series (title, description, priority and/or recurrence)
+ */
+router.patch(
+  "/series/:seriesId",
+  validateSeriesId,
+  asyncHandler(async (req, res) => {
+    const changes = parseSeriesChanges({ ...req.body, assigned_to: undefined }, req.user)
+
+    if (changes.error) {
+      return res.status(400).json({ error: changes.error })
+    }
+
+    const series = await withTransaction(async (client) => {
+      const existing = await findOwnSeries(client, req.params.seriesId, req.user.id)
+      return existing ? updateSeries(client, existing, changes.fields, changes.rule) : null
+    })
+
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" })
+    }
+
+    res.json(series)
+  }),
+)
+
+/**
+ * DELETE /api/tasks/series/:seriesId
+ * Stop a series. ?delete_pending=true also removes its upcoming pending tasks.
+ */
+router.delete(
+  "/series/:seriesId",
+  validateSeriesId,
+  asyncHandler(async (req, res) => {
+    const deletePending = req.query.delete_pending === "true"
+
+    const removedCount = await withTransaction(async (client) => {
+      const existing = await findOwnSeries(client, req.params.seriesId, req.user.id)
+      return existing ? stopSeries(client, existing, deletePending) : null
+    })
+
+    if (removedCount === null) {
+      return res.status(404).json({ error: "Series not found" })
+    }
+
+    res.json({ message: "Series stopped successfully", deleted_tasks: removedCount })
+  }),
+)
+
+/**
+ * POST /api/tasks/series/:seriesId/skip
+ * Skip a single occurrence: { date: "YYYY-MM-DD" }
+ */
+router.post(
+  "/series/:seriesId/skip",
+  validateSeriesId,
+  asyncHandler(async (req, res) => {
+    const { date } = req.body
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "Date (YYYY-MM-DD) is required" })
+    }
+
+    const result = await withTransaction(async (client) => {
+      const existing = await findOwnSeries(client, req.params.seriesId, req.user.id)
+      return existing ? skipOccurrence(client, existing, date) : null
+    })
+
+    if (!result) {
+      return res.status(404).json({ error: "Series not found" })
+    }
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
+    }
+
+    res.json({ message: "Occurrence skipped", ...result })
+  }),
+)
+
+const PERSONAL_ARCHIVE = { table: "tasks", ownerColumn: "user_id" }
+
+/**
+ * GET /api/tasks/archived
+ * Browse archived tasks, newest first
+ * Optional: ?from=YYYY-MM-DD&to=YYYY-MM-DD (week range), ?status, ?priority, ?search, ?page, ?limit
+ */
+router.get(
+  "/archived",
+  asyncHandler(async (req, res) => {
+    const { filters, error } = parseArchiveFilters(req.query)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const archive = await listArchived({
+      ...PERSONAL_ARCHIVE,
+      ownerId: req.user.id,
+      filters,
+      ...parsePagination(req.query),
+    })
+
+    res.json(archive)
+  }),
+)
+
+/**
+ * DELETE /api/tasks/archived
+ * Permanently delete archived tasks by { ids } and/or the listing filters (?all=true for everything)
+ */
+router.delete(
+  "/archived",
+  asyncHandler(async (req, res) => {
+    const { filters, ids, error } = parsePurgeRequest(req.query, req.body)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const purgedCount = await purgeArchived({ ...PERSONAL_ARCHIVE, ownerId: req.user.id, filters, ids })
+
+    res.json({ message: "Archived tasks deleted permanently", purged_count: purgedCount })
+  }),
+)
+
+/**
+ * POST /api/tasks/:id/restore
+ * Restore an archived task into the current week
+ */
+router.post(
+  "/:id/restore",
+  validateTaskId,
+  asyncHandler(async (req, res) => {
+    const task = await restoreArchived({
+      ...PERSONAL_ARCHIVE,
+      ownerId: req.user.id,
+      taskId: req.params.id,
+      weekStart: getCurrentWeekStart(req.user),
+    })
+
+    if (!task) {
+      return res.status(404).json({ error: "Archived task not found" })
+    }
+
+    res.json(task)
+  }),
+)
+
+/**
+ * POST /api/tasks/bulk
+ * Apply one action to many tasks in a single transaction:
+ * { ids, action: complete|reopen|set_priority|archive|delete|move_to_week, priority?, week_start? }
+ * Responds with a per-task result report.
+ */
+router.post(
+  "/bulk",
+  asyncHandler(async (req, res) => {
+    const request = parseBulkRequest(req.body)
+
+    if (request.error) {
+      return res.status(400).json({ error: request.error })
+    }
+
+    const report = await withTransaction(async (client) => {
+      const tasksResult = await client.query(
+        "SELECT * FROM tasks WHERE id = ANY($1::int[]) AND user_id = $2 ORDER BY id FOR UPDATE",
+        [request.ids, req.user.id],
+      )
+
+      return runBulkAction(client, {
+        table: "tasks",
+        request,
+        tasks: tasksResult.rows,
+        authorize: () => null,
+        weekStartDay: req.user.week_start_day,
+      })
+    })
+
+    res.json(report)
+  }),
+)
+
+/**
+ * /api/tasks/tags
+ * The user's own tags (see routes/tags.js)
+ */
+router.use(
+  "/tags",
+  createTagRouter({
+    scope: "personal",
+    findOwner: async (req) => ({ ownerId: req.user.id }),
+  }),
+)
+
+/**
+ * GET /api/tasks/:id
+ * Fetch a single personal task; the ETag header carries its version
+ */
+router.get(
+  "/:id",
+  validateTaskId,
+  asyncHandler(async (req, res) => {
+    const result = await query(
+      `SELECT t.*, ${checklistProgressSql("t", "tasks")}, ${tagsJsonSql("t", "personal")}
+       FROM tasks t WHERE t.id = $1 AND t.user_id = $2`,
+      [req.params.id, req.user.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    setTaskEtag(res, result.rows[0])
+    res.json(result.rows[0])
+  }),
+)
+
 /**
  * PUT /api/tasks/:id
- * Update a personal task
+ * Replace a personal task. Requires If-Match with the task's ETag (428 without it, 412 on a mismatch).
  */
 router.put(
   "/:id",
@@ -72,7 +371,7 @@ router.put(
   validateTask,
   asyncHandler(async (req, res) => {
     const { id } = req.params
-    const { title, description, priority, status } = req.body
+    const { title, description, priority, status, due_at } = req.body
 
     const taskCheck = await query(
       "SELECT * FROM tasks WHERE id = $1 AND user_id = $2",
@@ -83,12 +382,25 @@ router.put(
       return res.status(404).json({ error: "Task not found" })
     }
 
-    const completedAt = status === "completed" ? new Date() : null
+    const previousTask = taskCheck.rows[0]
+    const precondition = checkIfMatch(req, previousTask, { compat: true })
+
+    if (precondition !== "ok") {
+      return sendPreconditionError(res, precondition, previousTask)
+    }
+
+    // Keep the original completion time unless the status actually changes
+    const completedAt =
+      status !== "completed" ? null : previousTask.status === "completed" ? previousTask.completed_at : new Date()
+    // Clients that don't know about due dates leave them untouched
+    const dueAt = due_at === undefined ? previousTask.due_at : due_at
 
     const result = await query(
       `UPDATE tasks 
-       SET title = $1, description = $2, priority = $3, status = $4, completed_at = $5, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $6 AND user_id = $7 
+       SET title = $1, description = $2, priority = $3, status = $4, completed_at = $5, 
+           due_at = $8, reminder_sent_at = CASE WHEN due_at IS DISTINCT FROM $8 THEN NULL ELSE reminder_sent_at END, 
+           updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $6 AND user_id = $7 AND version = $9
        RETURNING *`,
       [
         title.trim(),
@@ -98,16 +410,114 @@ router.put(
         completedAt,
         id,
         req.user.id,
+        dueAt,
+        previousTask.version,
       ],
     )
 
+    if (result.rows.length === 0) {
+      const current = await query("SELECT * FROM tasks WHERE id = $1", [id])
+      return sendPreconditionError(res, "mismatch", current.rows[0])
+    }
+
+    // Completing a recurring task schedules its next occurrence
+    if (previousTask.series_id && status === "completed" && previousTask.status !== "completed") {
+      await withTransaction((client) => advanceSeries(client, previousTask.series_id))
+    }
+
+    setTaskEtag(res, result.rows[0])
     res.json(result.rows[0])
   }),
 )
 
+/**
+ * PATCH /api/tasks/:id
+ * Update only the fields sent (title, description, priority, status, due_at).
+ * Requires If-Match with the task's ETag; 412 if it changed in the meantime.
+ */
+router.patch(
+  "/:id",
+  validateTaskId,
+  asyncHandler(async (req, res) => {
+    const patch = parseTaskPatch(req.body)
+
+    if (patch.error) {
+      return res.status(400).json({ error: patch.error })
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const taskResult = await client.query("SELECT * FROM tasks WHERE id = $1 AND user_id = $2 FOR UPDATE", [
+        req.params.id,
+        req.user.id,
+      ])
+      const task = taskResult.rows[0]
+
+      if (!task) return { status: 404 }
+
+      const precondition = checkIfMatch(req, task)
+      if (precondition !== "ok") return { precondition, task }
+
+      const updated = await applyTaskPatch(client, "tasks", task, patch.fields)
+
+      // Completing a recurring task schedules its next occurrence
+      if (task.series_id && patch.fields.status === "completed" && task.status !== "completed") {
+        await advanceSeries(client, task.series_id)
+      }
+
+      return { task: updated }
+    })
+
+    if (outcome.status === 404) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    if (outcome.precondition) {
+      return sendPreconditionError(res, outcome.precondition, outcome.task)
+    }
+
+    setTaskEtag(res, outcome.task)
+    res.json(outcome.task)
+  }),
+)
+
+/**
+ * /api/tasks/:id/checklist
+ * Checklist items of a personal task (see routes/checklists.js)
+ */
+router.use(
+  "/:id/checklist",
+  validateTaskId,
+  createChecklistRouter({
+    table: "tasks",
+    findTask: async (client, req, { write }) => {
+      const result = await client.query(
+        `SELECT * FROM tasks WHERE id = $1 AND user_id = $2 ${write ? "FOR UPDATE" : ""}`,
+        [req.params.id, req.user.id],
+      )
+      return result.rows[0] ? { task: result.rows[0] } : { status: 404, error: "Task not found" }
+    },
+  }),
+)
+
+/**
+ * /api/tasks/:id/tags
+ * Attach (POST { tag_ids }) and detach (DELETE /:tagId) the user's tags
+ */
+router.use(
+  "/:id/tags",
+  validateTaskId,
+  createTaskTagRouter({
+    scope: "personal",
+    findTask: async (req) => {
+      const result = await query("SELECT * FROM tasks WHERE id = $1 AND user_id = $2", [req.params.id, req.user.id])
+      return result.rows[0] ? { task: result.rows[0], ownerId: req.user.id } : { status: 404, error: "Task not found" }
+    },
+  }),
+)
+
 /**
  * DELETE /api/tasks/:id
- * Delete a personal task
+ * Delete a personal task. Requires If-Match with the task's ETag.
  */
 router.delete(
   "/:id",
@@ -115,35 +525,53 @@ router.delete(
   asyncHandler(async (req, res) => {
     const { id } = req.params
 
-    const result = await query(
-      "DELETE FROM tasks WHERE id = $1 AND user_id = $2 RETURNING id",
-      [id, req.user.id],
-    )
+    const taskCheck = await query("SELECT * FROM tasks WHERE id = $1 AND user_id = $2", [id, req.user.id])
 
-    if (result.rows.length === 0) {
+    if (taskCheck.rows.length === 0) {
       return res.status(404).json({ error: "Task not found" })
     }
 
+    const precondition = checkIfMatch(req, taskCheck.rows[0], { compat: true })
+
+    if (precondition !== "ok") {
+      return sendPreconditionError(res, precondition, taskCheck.rows[0])
+    }
+
+    const result = await query("DELETE FROM tasks WHERE id = $1 AND user_id = $2 AND version = $3 RETURNING id", [
+      id,
+      req.user.id,
+      taskCheck.rows[0].version,
+    ])
+
+    if (result.rows.length === 0) {
+      const current = await query("SELECT * FROM tasks WHERE id = $1", [id])
+
+      if (current.rows.length === 0) {
+        return res.status(404).json({ error: "Task not found" })
+      }
+
+      return sendPreconditionError(res, "mismatch", current.rows[0])
+    }
+
     res.json({ message: "Task deleted successfully" })
   }),
 )
 
 /**
  * POST /api/tasks/archive
- * Archive old tasks from previous weeks
+ * Archive tasks from before last week (in the user's time zone and week start)
  */
 router.post(
   "/archive",
   asyncHandler(async (req, res) => {
-    const weekStart = getCurrentWeekStart()
-    const lastWeek = new Date(weekStart.getTime() - 7 * 24 * 60 * 60 * 1000)
+    const lastWeek = addDays(getCurrentWeekStart(req.user), -7)
 
     const result = await query(
       `UPDATE tasks 
        SET archived = TRUE, archived_at = CURRENT_TIMESTAMP 
        WHERE user_id = $1 AND week_start < $2 AND archived = FALSE 
        RETURNING id`,
-      [req.user.id, lastWeek.toISOString().split("T")[0]],
+      [req.user.id, lastWeek],
     )
 
     res.json({
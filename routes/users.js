@@ -0,0 +1,354 @@
+// User profile routes
+import express from "express"
+import bcrypt from "bcrypt"
+import { query, withTransaction } from "../config/database.js"
+import { authenticateToken, generateToken } from "../middleware/auth.js"
+import { validateProfileUpdate, validatePasswordChange } from "../middleware/validation.js"
+import { asyncHandler } from "../middleware/errorHandler.js"
+import { revokeOtherSessions } from "../utils/sessions.js"
+import { sendVerificationEmail } from "../utils/verification.js"
+import { parseWeekSettings, saveWeekSettings } from "../utils/weekSettings.js"
+import { findSuccessor, parseTaskHandoff, removeMember, transferOwnership } from "../utils/familyMembers.js"
+import {
+  EXPORT_SYNC_MAX_ROWS,
+  EXPORT_FORMATS,
+  countExportRows,
+  collectUserData,
+  buildExportFile,
+  createExportRequest,
+  generateExport,
+} from "../utils/dataExport.js"
+
+const router = express.Router()
+
+const FAMILY_ACTIONS = ["transfer", "delete"]
+
+// All routes require authentication
+router.use(authenticateToken)
+
+/**
+ * GET /api/users/me
+ * Fetch the current user's profile
+ */
+router.get(
+  "/me",
+  asyncHandler(async (req, res) => {
+    const result = await query(
+      `SELECT id, username, email, email_verified, totp_enabled, rollover_mode, timezone, week_start_day, created_at, updated_at
+       FROM users WHERE id = $1`,
+      [req.user.id],
+    )
+
+    res.json(result.rows[0])
+  }),
+)
+
+/**
+ * PATCH /api/users/me
+ * Update username and/or email. A new email must be verified again.
+ */
+router.patch(
+  "/me",
+  validateProfileUpdate,
+  asyncHandler(async (req, res) => {
+    const { username, email, current_password } = req.body
+
+    const currentResult = await query("SELECT username, email, password_hash FROM users WHERE id = $1", [req.user.id])
+    const currentUser = currentResult.rows[0]
+
+    const newUsername = username?.trim() ?? currentUser.username
+    const newEmail = email?.trim() ?? currentUser.email
+    const emailChanged = newEmail.toLowerCase() !== currentUser.email.toLowerCase()
+
+    if (emailChanged) {
+      if (!current_password || !(await bcrypt.compare(current_password, currentUser.password_hash))) {
+        return res.status(401).json({ error: "Current password is required to change email" })
+      }
+    }
+
+    const existingUser = await query("SELECT id FROM users WHERE (email = $1 OR username = $2) AND id <> $3", [
+      newEmail,
+      newUsername,
+      req.user.id,
+    ])
+
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({ error: "Email or username is already taken" })
+    }
+
+    const result = await query(
+      `UPDATE users
+       SET username = $1, email = $2,
+           email_verified = CASE WHEN $3 THEN FALSE ELSE email_verified END,
+           email_verified_at = CASE WHEN $3 THEN NULL ELSE email_verified_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING id, username, email, email_verified, totp_enabled, rollover_mode, timezone, week_start_day, created_at, updated_at`,
+      [newUsername, newEmail, emailChanged, req.user.id],
+    )
+
+    const updatedUser = result.rows[0]
+
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser)
+    }
+
+    console.log("✅ Profile updated:", { id: req.user.id, emailChanged })
+
+    res.json(updatedUser)
+  }),
+)
+
+/**
+ * PUT /api/users/me/preferences
+ * rollover_mode: "carry" moves unfinished tasks into the new week,
+ * "archive" archives them when the week ends
+ * timezone: IANA zone used for "today" and week boundaries
+ * week_start_day: 0 (Sunday) or 1 (Monday)
+ */
+router.put(
+  "/me/preferences",
+  asyncHandler(async (req, res) => {
+    const settings = parseWeekSettings(req.body)
+
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error })
+    }
+
+    const preferences = await withTransaction((client) =>
+      saveWeekSettings(client, "users", req.user.id, settings.fields),
+    )
+
+    res.json(preferences)
+  }),
+)
+
+/**
+ * PUT /api/users/me/password
+ * Change password; every other session is logged out
+ */
+router.put(
+  "/me/password",
+  validatePasswordChange,
+  asyncHandler(async (req, res) => {
+    const { current_password, new_password } = req.body
+
+    const currentResult = await query("SELECT password_hash FROM users WHERE id = $1", [req.user.id])
+
+    const isValidPassword = await bcrypt.compare(current_password, currentResult.rows[0].password_hash)
+
+    if (!isValidPassword) {
+      return res.status(401).json({ error: "Current password is incorrect" })
+    }
+
+    const hashedPassword = await bcrypt.hash(new_password, 10)
+
+    const user = await withTransaction(async (client) => {
+      await revokeOtherSessions(req.user.id, req.user.sid, client)
+
+      const result = await client.query(
+        `UPDATE users
+         SET password_hash = $1, token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id, username, email, token_version`,
+        [hashedPassword, req.user.id],
+      )
+
+      return result.rows[0]
+    })
+
+    console.log("🔑 Password changed:", { id: req.user.id })
+
+    // The token_version bump invalidated the caller's token too, so hand out a fresh one
+    res.json({
+      message: "Password changed successfully",
+      token: generateToken(user, req.user.sid),
+    })
+  }),
+)
+
+/**
+ * GET /api/users/me/export?format=json|zip
+ * Download everything stored about the user. Large exports are generated
+ * in the background (202) and the user is emailed when they are ready.
+ */
+router.get(
+  "/me/export",
+  asyncHandler(async (req, res) => {
+    const { format = "json" } = req.query
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` })
+    }
+
+    const rowCount = await countExportRows(req.user.id)
+
+    if (rowCount > EXPORT_SYNC_MAX_ROWS) {
+      const dataExport = await createExportRequest(req.user.id, format)
+
+      setImmediate(() => {
+        generateExport(dataExport.id).catch((error) => console.error("❌ Data export crashed:", error.message))
+      })
+
+      return res.status(202).json({
+        message: "Your export is being prepared. We'll email you when it's ready.",
+        export: dataExport,
+      })
+    }
+
+    const file = buildExportFile(await collectUserData(req.user.id), format)
+
+    res.set("Content-Type", file.contentType)
+    res.set("Content-Disposition", `attachment; filename="${file.fileName}"`)
+    res.send(file.buffer)
+  }),
+)
+
+/**
+ * GET /api/users/me/exports/:exportId
+ * Status of a background export
+ */
+router.get(
+  "/me/exports/:exportId",
+  asyncHandler(async (req, res) => {
+    const result = await query(
+      `SELECT id, format, status, file_name, error, expires_at, completed_at, created_at
+       FROM data_exports
+       WHERE id = $1 AND user_id = $2 AND expires_at > CURRENT_TIMESTAMP`,
+      [Number.parseInt(req.params.exportId) || 0, req.user.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Export not found" })
+    }
+
+    res.json(result.rows[0])
+  }),
+)
+
+/**
+ * GET /api/users/me/exports/:exportId/download
+ * Download a finished background export
+ */
+router.get(
+  "/me/exports/:exportId/download",
+  asyncHandler(async (req, res) => {
+    const result = await query(
+      `SELECT status, file_name, content_type, file_data
+       FROM data_exports
+       WHERE id = $1 AND user_id = $2 AND expires_at > CURRENT_TIMESTAMP`,
+      [Number.parseInt(req.params.exportId) || 0, req.user.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Export not found" })
+    }
+
+    const dataExport = result.rows[0]
+
+    if (dataExport.status !== "ready") {
+      return res.status(409).json({ error: `Export is ${dataExport.status}` })
+    }
+
+    res.set("Content-Type", dataExport.content_type)
+    res.set("Content-Disposition", `attachment; filename="${dataExport.file_name}"`)
+    res.send(dataExport.file_data)
+  }),
+)
+
+/**
+ * DELETE /api/users/me
+ * Delete the account. Families the user owns are handed to the
+ * highest-ranked remaining member ("transfer", the default) or deleted
+ * ("delete"); families without other members are always deleted.
+ * The user then leaves every other family; their pending tasks there are
+ * unassigned (task_action "unassign", the default) or deleted ("delete").
+ */
+router.delete(
+  "/me",
+  asyncHandler(async (req, res) => {
+    const { password, family_action = "transfer" } = req.body
+
+    if (!password) {
+      return res.status(400).json({ error: "Password is required to delete your account" })
+    }
+
+    if (!FAMILY_ACTIONS.includes(family_action)) {
+      return res.status(400).json({ error: `family_action must be one of: ${FAMILY_ACTIONS.join(", ")}` })
+    }
+
+    const handoff = parseTaskHandoff(req.body)
+
+    if (handoff.error) {
+      return res.status(400).json({ error: handoff.error })
+    }
+
+    // A single reassign_to can't name a member of every family
+    if (handoff.action === "reassign") {
+      return res.status(400).json({ error: "task_action must be unassign or delete when deleting your account" })
+    }
+
+    const currentResult = await query("SELECT password_hash FROM users WHERE id = $1", [req.user.id])
+
+    const isValidPassword = await bcrypt.compare(password, currentResult.rows[0].password_hash)
+
+    if (!isValidPassword) {
+      return res.status(401).json({ error: "Password is incorrect" })
+    }
+
+    const summary = await withTransaction(async (client) => {
+      const transferred = []
+      const deleted = []
+
+      const familiesResult = await client.query("SELECT id FROM families WHERE created_by = $1 FOR UPDATE", [
+        req.user.id,
+      ])
+
+      for (const family of familiesResult.rows) {
+        const successorId = await findSuccessor(client, family.id, req.user.id)
+
+        if (family_action === "transfer" && successorId) {
+          await transferOwnership(client, family.id, successorId)
+          transferred.push({ family_id: family.id, new_leader_id: successorId })
+        } else {
+          await client.query("DELETE FROM families WHERE id = $1", [family.id])
+          deleted.push(family.id)
+        }
+      }
+
+      // Keep family tasks the user created; the family leader becomes their creator
+      await client.query(
+        `UPDATE family_tasks ft SET created_by = f.created_by
+         FROM families f
+         WHERE ft.family_id = f.id AND ft.created_by = $1 AND f.created_by <> $1`,
+        [req.user.id],
+      )
+
+      // Leave the remaining families properly, so pending tasks aren't lost to the cascade on assigned_to
+      const left = []
+      const membershipsResult = await client.query("SELECT family_id FROM family_members WHERE user_id = $1", [
+        req.user.id,
+      ])
+
+      for (const membership of membershipsResult.rows) {
+        const removal = await removeMember(client, membership.family_id, req.user.id, handoff)
+
+        if (removal.error) {
+          throw new Error(`Could not leave family ${membership.family_id}: ${removal.error}`)
+        }
+
+        left.push({ family_id: membership.family_id, tasks: removal.tasks })
+      }
+
+      await client.query("DELETE FROM users WHERE id = $1", [req.user.id])
+
+      return { transferred_families: transferred, deleted_families: deleted, left_families: left }
+    })
+
+    console.log("🗑️ Account deleted:", { id: req.user.id, ...summary })
+
+    res.json({ message: "Account deleted successfully", ...summary })
+  }),
+)
+
+export default router
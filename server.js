@@ -11,8 +11,13 @@ import { setupEmail } from "./config/email.js"
 // Import middleware
 import { errorHandler } from "./middleware/errorHandler.js"
 
+// Import background jobs
+import { startJobs } from "./jobs/index.js"
+
 // Import routes
 import authRoutes from "./routes/auth.js"
+import userRoutes from "./routes/users.js"
+import adminRoutes from "./routes/admin.js"
 import taskRoutes from "./routes/tasks.js"
 import familyRoutes from "./routes/family.js"
 import dashboardRoutes from "./routes/dashboard.js"
@@ -34,7 +39,12 @@ const PORT = process.env.PORT || 5000
 //     credentials: true,
 //   }),
 // )
-app.use(cors());
+// Needed for correct client IPs (rate limiting, sessions) behind a proxy
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number.parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
+
+app.use(cors({ exposedHeaders: ["ETag", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"] }))
 app.use(express.json({ limit: "10mb" }))
 app.use(express.urlencoded({ extended: true }))
 
@@ -64,18 +74,22 @@ app.get("/", (req, res) => {
     endpoints: {
       health: "/api/health",
       auth: "/api/auth/*",
+      users: "/api/users/*",
       tasks: "/api/tasks/*",
       family: "/api/family/*",
       dashboard: "/api/dashboard/*",
+      admin: "/api/admin/*",
     },
   })
 })
 
 // API Routes
 app.use("/api/auth", authRoutes)
+app.use("/api/users", userRoutes)
 app.use("/api/tasks", taskRoutes)
 app.use("/api/family", familyRoutes)
 app.use("/api/dashboard", dashboardRoutes)
+app.use("/api/admin", adminRoutes)
 
 // Error handling middleware
 app.use(errorHandler)
@@ -95,11 +109,15 @@ app.listen(PORT, () => {
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`)
   console.log(`🌐 API Base URL: http://localhost:${PORT}`)
   console.log(`📚 Available endpoints:`)
-  console.log(`   🔐 Auth: /api/auth/register, /api/auth/login`)
+  console.log(`   🔐 Auth: /api/auth/register, /api/auth/login, /api/auth/refresh, /api/auth/logout`)
+  console.log(`   👤 Users: /api/users/me (GET, PATCH, DELETE), /api/users/me/password`)
   console.log(`   📋 Tasks: /api/tasks (GET, POST, PUT, DELETE)`)
   console.log(`   👨‍👩‍👧‍👦 Family: /api/family/* (info, create, join, members, tasks)`)
   console.log(`   📊 Dashboard: /api/dashboard/stats`)
+  console.log(`   🛠️ Admin: /api/admin/jobs`)
   console.log(`✅ Server startup complete!`)
+
+  startJobs()
 })
 
 export default app
@@ -0,0 +1,183 @@
+// Archived tasks: listing, restore and permanent purge for personal and family tasks
+import { query } from "../config/database.js"
+import { validatePriority, validateStatus } from "./helpers.js"
+
+// Archived tasks older than this are deleted by the retention job (0 keeps them forever).
+// Not read with envInt, which would turn 0 into the default.
+const parseRetentionDays = (value, fallback) => {
+  const days = Number.parseInt(value)
+  return Number.isNaN(days) || days < 0 ? fallback : days
+}
+
+export const ARCHIVE_RETENTION_DAYS = parseRetentionDays(process.env.ARCHIVE_RETENTION_DAYS, 365)
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const FILTER_KEYS = ["from", "to", "status", "priority", "search"]
+
+/**
+ * Validate archive filters from a query string:
+ * from / to (week_start range, YYYY-MM-DD), status, priority, search (title/description)
+ */
+export const parseArchiveFilters = (params) => {
+  const filters = {}
+
+  for (const key of ["from", "to"]) {
+    if (params[key] !== undefined) {
+      if (!DATE_PATTERN.test(params[key]) || Number.isNaN(Date.parse(params[key]))) {
+        return { error: `${key} must be a date (YYYY-MM-DD)` }
+      }
+      filters[key] = params[key]
+    }
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: "from must be on or before to" }
+  }
+
+  if (params.status !== undefined) {
+    if (!validateStatus(params.status)) {
+      return { error: "Status must be pending or completed" }
+    }
+    filters.status = params.status
+  }
+
+  if (params.priority !== undefined) {
+    const priority = Number(params.priority)
+    if (!validatePriority(priority)) {
+      return { error: "Priority must be 1, 2 or 3" }
+    }
+    filters.priority = priority
+  }
+
+  if (typeof params.search === "string" && params.search.trim().length > 0) {
+    filters.search = params.search.trim()
+  }
+
+  return { filters }
+}
+
+const hasArchiveFilters = (filters) => FILTER_KEYS.some((key) => filters[key] !== undefined)
+
+/**
+ * Validate a purge request: filters in the query string and/or { ids: [...] } in the body.
+ * Purging an owner's whole archive needs an explicit ?all=true.
+ */
+export const parsePurgeRequest = (params, body = {}) => {
+  const parsed = parseArchiveFilters(params)
+  if (parsed.error) return parsed
+
+  let ids
+  if (body.ids !== undefined) {
+    const isId = (id) => Number.isInteger(id) && id > 0
+    if (!Array.isArray(body.ids) || body.ids.length === 0 || body.ids.length > 1000 || !body.ids.every(isId)) {
+      return { error: "ids must be a list of up to 1000 task IDs" }
+    }
+    ids = body.ids
+  }
+
+  if (!ids && !hasArchiveFilters(parsed.filters) && params.all !== "true") {
+    return { error: "Pass task ids or filters, or ?all=true to purge the whole archive" }
+  }
+
+  return { filters: parsed.filters, ids }
+}
+
+// WHERE clause selecting an owner's archived tasks that match the filters
+const buildArchiveWhere = ({ ownerColumn, ownerId, filters = {}, ids }) => {
+  const params = [ownerId]
+  const conditions = [`t.${ownerColumn} = $1`, "t.archived = TRUE"]
+
+  const add = (sql, value) => {
+    params.push(value)
+    conditions.push(sql.replace("?", `$${params.length}`))
+  }
+
+  if (filters.from) add("t.week_start >= ?", filters.from)
+  if (filters.to) add("t.week_start <= ?", filters.to)
+  if (filters.status) add("t.status = ?", filters.status)
+  if (filters.priority) add("t.priority = ?", filters.priority)
+  if (filters.search) {
+    params.push(`%${filters.search}%`)
+    conditions.push(`(t.title ILIKE $${params.length} OR t.description ILIKE $${params.length})`)
+  }
+  if (ids) add("t.id = ANY(?::int[])", ids)
+
+  return { where: conditions.join(" AND "), params }
+}
+
+/**
+ * One page of archived tasks, most recently archived first.
+ * table: "tasks" (owner user_id) or "family_tasks" (owner family_id)
+ */
+export const listArchived = async ({ table, ownerColumn, ownerId, filters, page, limit, offset }) => {
+  const { where, params } = buildArchiveWhere({ ownerColumn, ownerId, filters })
+  const isFamily = table === "family_tasks"
+
+  const countResult = await query(`SELECT COUNT(*) as total FROM ${table} t WHERE ${where}`, params)
+  const total = Number.parseInt(countResult.rows[0].total)
+
+  const result = await query(
+    `SELECT t.*${isFamily ? ", u.username as assigned_username" : ""}
+     FROM ${table} t
+     ${isFamily ? "LEFT JOIN users u ON t.assigned_to = u.id" : ""}
+     WHERE ${where}
+     ORDER BY t.archived_at DESC NULLS LAST, t.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset],
+  )
+
+  return {
+    tasks: result.rows,
+    pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+  }
+}
+
+/**
+ * Bring an archived task back into the given week (the owner's current one),
+ * so the next rollover doesn't archive it again straight away
+ */
+export const restoreArchived = async ({ table, ownerColumn, ownerId, taskId, weekStart }) => {
+  const result = await query(
+    `UPDATE ${table}
+     SET archived = FALSE, archived_at = NULL, week_start = $3, reminder_sent_at = NULL
+     WHERE id = $1 AND ${ownerColumn} = $2 AND archived = TRUE
+     RETURNING *`,
+    [taskId, ownerId, weekStart],
+  )
+  return result.rows[0] || null
+}
+
+// Permanently delete archived tasks matching the filters and/or ids; returns the count
+export const purgeArchived = async ({ table, ownerColumn, ownerId, filters, ids }) => {
+  const { where, params } = buildArchiveWhere({ ownerColumn, ownerId, filters, ids })
+  const result = await query(`DELETE FROM ${table} t WHERE ${where} RETURNING t.id`, params)
+  return result.rows.length
+}
+
+// Retention policy: hard-delete everything archived more than `days` days ago
+export const purgeExpiredArchives = async (days = ARCHIVE_RETENTION_DAYS) => {
+  if (days <= 0) return { tasks: 0, family_tasks: 0 }
+
+  const counts = {}
+  for (const table of ["tasks", "family_tasks"]) {
+    const result = await query(
+      `DELETE FROM ${table}
+       WHERE archived = TRUE AND archived_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+       RETURNING id`,
+      [days],
+    )
+    counts[table] = result.rows.length
+  }
+
+  return counts
+}
+
+export default {
+  ARCHIVE_RETENTION_DAYS,
+  parseArchiveFilters,
+  parsePurgeRequest,
+  listArchived,
+  restoreArchived,
+  purgeArchived,
+  purgeExpiredArchives,
+}
@@ -0,0 +1,128 @@
+// Bulk task operations for personal and family tasks
+import { advanceSeries } from "./taskSeries.js"
+import { getWeekStartOf, validatePriority } from "./helpers.js"
+
+export const BULK_ACTIONS = ["complete", "reopen", "set_priority", "reassign", "move_to_week", "archive", "delete"]
+const MAX_BULK_IDS = 500
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Validate a bulk request: { ids, action, priority?, assigned_to?, week_start? }.
+ * reassign is only available for family tasks.
+ */
+export const parseBulkRequest = (body, { allowReassign = false } = {}) => {
+  const { ids, action } = body
+  const isId = (id) => Number.isInteger(id) && id > 0
+
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS || !ids.every(isId)) {
+    return { error: `ids must be a list of 1 to ${MAX_BULK_IDS} task IDs` }
+  }
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${BULK_ACTIONS.join(", ")}` }
+  }
+
+  const request = { ids: [...new Set(ids)], action }
+
+  if (action === "set_priority") {
+    if (!validatePriority(body.priority)) {
+      return { error: "Priority must be 1, 2 or 3" }
+    }
+    request.priority = body.priority
+  }
+
+  if (action === "reassign") {
+    if (!allowReassign) {
+      return { error: "Personal tasks cannot be reassigned" }
+    }
+    if (!isId(body.assigned_to)) {
+      return { error: "assigned_to must be a user ID" }
+    }
+    request.assigned_to = body.assigned_to
+  }
+
+  if (action === "move_to_week") {
+    if (!DATE_PATTERN.test(body.week_start ?? "") || Number.isNaN(Date.parse(body.week_start))) {
+      return { error: "week_start must be a date (YYYY-MM-DD)" }
+    }
+    request.week_start = body.week_start
+  }
+
+  return request
+}
+
+// Apply the action to one locked task row; returns the updated row (or null once deleted)
+const applyAction = async (client, table, task, request, weekStartDay) => {
+  const update = async (assignments, values = []) => {
+    const result = await client.query(`UPDATE ${table} SET ${assignments} WHERE id = $1 RETURNING *`, [
+      task.id,
+      ...values,
+    ])
+    return result.rows[0]
+  }
+
+  switch (request.action) {
+    case "complete": {
+      if (task.status === "completed") return task
+      const updated = await update("status = 'completed', completed_at = CURRENT_TIMESTAMP")
+      // Completing a recurring task schedules its next occurrence
+      if (task.series_id) await advanceSeries(client, task.series_id)
+      return updated
+    }
+    case "reopen":
+      return task.status === "pending" ? task : update("status = 'pending', completed_at = NULL")
+    case "set_priority":
+      return update("priority = $2", [request.priority])
+    case "reassign":
+      return update("assigned_to = $2", [request.assigned_to])
+    case "move_to_week":
+      // Snap any date in the target week onto the owner's week boundaries
+      return update("week_start = $2, archived = FALSE, archived_at = NULL", [
+        getWeekStartOf(request.week_start, weekStartDay),
+      ])
+    case "archive":
+      return task.archived ? task : update("archived = TRUE, archived_at = CURRENT_TIMESTAMP")
+    case "delete":
+      await client.query(`DELETE FROM ${table} WHERE id = $1`, [task.id])
+      return null
+  }
+}
+
+/**
+ * Run a bulk action inside the caller's transaction.
+ * `tasks` are the rows the caller found (and locked) for the requested ids;
+ * `authorize(task)` returns an error message when the user may not touch a task.
+ * Returns a per-item report in request order plus a summary.
+ */
+export const runBulkAction = async (client, { table, request, tasks, authorize, weekStartDay = 0 }) => {
+  const tasksById = new Map(tasks.map((task) => [task.id, task]))
+  const results = []
+
+  for (const id of request.ids) {
+    const task = tasksById.get(id)
+
+    if (!task) {
+      results.push({ id, ok: false, status: 404, error: "Task not found" })
+      continue
+    }
+
+    const denied = authorize(task)
+    if (denied) {
+      results.push({ id, ok: false, status: 403, error: denied })
+      continue
+    }
+
+    const updated = await applyAction(client, table, task, request, weekStartDay)
+    results.push(request.action === "delete" ? { id, ok: true, deleted: true } : { id, ok: true, task: updated })
+  }
+
+  const succeeded = results.filter((result) => result.ok).length
+
+  return {
+    action: request.action,
+    results,
+    summary: { requested: request.ids.length, succeeded, failed: request.ids.length - succeeded },
+  }
+}
+
+export default { BULK_ACTIONS, parseBulkRequest, runBulkAction }
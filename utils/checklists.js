@@ -0,0 +1,187 @@
+// Checklist items (subtasks) of personal and family tasks
+import { advanceSeries } from "./taskSeries.js"
+
+export const MAX_CHECKLIST_ITEMS = 100
+
+// Where a task's items live: personal tasks use task_id, family tasks family_task_id
+export const CHECKLIST_PARENTS = {
+  tasks: { table: "tasks", column: "task_id" },
+  family_tasks: { table: "family_tasks", column: "family_task_id" },
+}
+
+// SELECT columns with a task's checklist progress, e.g. checklistProgressSql("t", "tasks")
+export const checklistProgressSql = (alias, table) => {
+  const { column } = CHECKLIST_PARENTS[table]
+  return `(SELECT COUNT(*) FROM checklist_items ci WHERE ci.${column} = ${alias}.id)::int as checklist_total,
+    (SELECT COUNT(*) FROM checklist_items ci WHERE ci.${column} = ${alias}.id AND ci.is_checked)::int as checklist_done`
+}
+
+// Validate an item create/update body: { title, is_checked }
+export const parseChecklistItem = (body, { partial = false } = {}) => {
+  const fields = {}
+
+  if (body.title !== undefined || !partial) {
+    if (typeof body.title !== "string" || body.title.trim().length === 0 || body.title.length > 200) {
+      return { error: "Checklist item title is required and must be less than 200 characters" }
+    }
+    fields.title = body.title.trim()
+  }
+
+  if (body.is_checked !== undefined) {
+    if (typeof body.is_checked !== "boolean") {
+      return { error: "is_checked must be true or false" }
+    }
+    fields.is_checked = body.is_checked
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    return { error: "Provide title and/or is_checked" }
+  }
+
+  return { fields }
+}
+
+export const listItems = async (client, table, taskId) => {
+  const { column } = CHECKLIST_PARENTS[table]
+  const result = await client.query(`SELECT * FROM checklist_items WHERE ${column} = $1 ORDER BY position, id`, [
+    taskId,
+  ])
+  return result.rows
+}
+
+const getProgress = async (client, table, taskId) => {
+  const { column } = CHECKLIST_PARENTS[table]
+  const result = await client.query(
+    `SELECT COUNT(*)::int as total, COUNT(*) FILTER (WHERE is_checked)::int as done
+     FROM checklist_items WHERE ${column} = $1`,
+    [taskId],
+  )
+  return result.rows[0]
+}
+
+/**
+ * Keep the parent task in step with its checklist when it opted in with
+ * checklist_auto_complete: complete it once every item is checked, and
+ * reopen it when an item is unchecked again.
+ */
+const syncTaskCompletion = async (client, table, task) => {
+  const progress = await getProgress(client, table, task.id)
+
+  if (!task.checklist_auto_complete || progress.total === 0) {
+    return { progress, task_status: task.status }
+  }
+
+  const allDone = progress.done === progress.total
+
+  if (allDone && task.status === "pending") {
+    await client.query(
+      `UPDATE ${table} SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [task.id],
+    )
+    // Completing a recurring task schedules its next occurrence
+    if (task.series_id) await advanceSeries(client, task.series_id)
+    return { progress, task_status: "completed" }
+  }
+
+  if (!allDone && task.status === "completed") {
+    await client.query(`UPDATE ${table} SET status = 'pending', completed_at = NULL WHERE id = $1`, [task.id])
+    return { progress, task_status: "pending" }
+  }
+
+  return { progress, task_status: task.status }
+}
+
+// Append an item to the end of the checklist; the task row must be locked by the caller
+export const addItem = async (client, table, task, fields, userId) => {
+  const { column } = CHECKLIST_PARENTS[table]
+  const progress = await getProgress(client, table, task.id)
+
+  if (progress.total >= MAX_CHECKLIST_ITEMS) {
+    return { error: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` }
+  }
+
+  const result = await client.query(
+    `INSERT INTO checklist_items (${column}, title, is_checked, checked_at, checked_by, position)
+     VALUES ($1, $2, $3, CASE WHEN $3 THEN CURRENT_TIMESTAMP END, CASE WHEN $3 THEN $4::int END,
+       (SELECT COALESCE(MAX(position) + 1, 0) FROM checklist_items WHERE ${column} = $1))
+     RETURNING *`,
+    [task.id, fields.title, fields.is_checked ?? false, userId],
+  )
+
+  return { item: result.rows[0], ...(await syncTaskCompletion(client, table, task)) }
+}
+
+export const updateItem = async (client, table, task, itemId, fields, userId) => {
+  const { column } = CHECKLIST_PARENTS[table]
+  const values = [itemId, task.id]
+  const assignments = []
+
+  if (fields.title !== undefined) {
+    values.push(fields.title)
+    assignments.push(`title = $${values.length}`)
+  }
+
+  if (fields.is_checked !== undefined) {
+    values.push(fields.is_checked, userId)
+    const checked = `$${values.length - 1}`
+    assignments.push(
+      `checked_at = CASE WHEN ${checked} AND NOT is_checked THEN CURRENT_TIMESTAMP WHEN ${checked} THEN checked_at END`,
+      `checked_by = CASE WHEN ${checked} AND NOT is_checked THEN $${values.length}::int WHEN ${checked} THEN checked_by END`,
+      `is_checked = ${checked}`,
+    )
+  }
+
+  const result = await client.query(
+    `UPDATE checklist_items SET ${assignments.join(", ")} WHERE id = $1 AND ${column} = $2 RETURNING *`,
+    values,
+  )
+
+  if (result.rows.length === 0) return null
+
+  return { item: result.rows[0], ...(await syncTaskCompletion(client, table, task)) }
+}
+
+export const deleteItem = async (client, table, task, itemId) => {
+  const { column } = CHECKLIST_PARENTS[table]
+  const result = await client.query(`DELETE FROM checklist_items WHERE id = $1 AND ${column} = $2 RETURNING id`, [
+    itemId,
+    task.id,
+  ])
+
+  if (result.rows.length === 0) return null
+
+  return syncTaskCompletion(client, table, task)
+}
+
+// Reorder a checklist; itemIds must list every item of the task exactly once
+export const reorderItems = async (client, table, task, itemIds) => {
+  const { column } = CHECKLIST_PARENTS[table]
+  const items = await listItems(client, table, task.id)
+  const existingIds = items.map((item) => item.id).sort((a, b) => a - b)
+  const requestedIds = Array.isArray(itemIds) ? [...itemIds].sort((a, b) => a - b) : []
+
+  if (existingIds.length !== requestedIds.length || existingIds.some((id, index) => id !== requestedIds[index])) {
+    return { error: "item_ids must list every checklist item of the task exactly once" }
+  }
+
+  await client.query(
+    `UPDATE checklist_items ci SET position = ordered.ordinality - 1
+     FROM unnest($1::int[]) WITH ORDINALITY AS ordered(id, ordinality)
+     WHERE ci.id = ordered.id AND ci.${column} = $2`,
+    [itemIds, task.id],
+  )
+
+  return { items: await listItems(client, table, task.id) }
+}
+
+export default {
+  MAX_CHECKLIST_ITEMS,
+  CHECKLIST_PARENTS,
+  checklistProgressSql,
+  parseChecklistItem,
+  listItems,
+  addItem,
+  updateItem,
+  deleteItem,
+  reorderItems,
+}
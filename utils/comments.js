@@ -0,0 +1,221 @@
+// Threaded discussion comments on family tasks, with @username mentions
+import { sendEmail, emailTemplates } from "../config/email.js"
+import { hasFamilyPermission } from "../middleware/familyPermissions.js"
+import { escapeHtml } from "./helpers.js"
+
+export const MAX_COMMENT_LENGTH = 2000
+const MENTION_PATTERN = /(?:^|[^\w@])@([\w.-]{3,50})/g
+
+// Validate a comment create/update body: { body, parent_id? }
+export const parseComment = (input, { allowParent = true } = {}) => {
+  const { body, parent_id } = input
+
+  if (typeof body !== "string" || body.trim().length === 0 || body.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comment must be between 1 and ${MAX_COMMENT_LENGTH} characters` }
+  }
+
+  const fields = { body: body.trim() }
+
+  if (parent_id !== undefined && parent_id !== null) {
+    if (!allowParent) {
+      return { error: "A comment cannot be moved to another thread" }
+    }
+    if (!Number.isInteger(parent_id) || parent_id < 1) {
+      return { error: "parent_id must be a comment ID" }
+    }
+    fields.parent_id = parent_id
+  }
+
+  return { fields }
+}
+
+// Lowercased usernames mentioned as @username in a comment
+export const extractMentions = (text) => [...new Set([...text.matchAll(MENTION_PATTERN)].map((match) => match[1].toLowerCase()))]
+
+const getComment = async (client, taskId, commentId) => {
+  const result = await client.query(
+    `SELECT c.*, u.username as author_username
+     FROM task_comments c
+     LEFT JOIN users u ON c.user_id = u.id
+     WHERE c.id = $1 AND c.family_task_id = $2`,
+    [commentId, taskId],
+  )
+  return result.rows[0]
+}
+
+/**
+ * Record the family members a comment mentions and return the ones that
+ * were not mentioned by it before (they are the ones to notify).
+ */
+const recordMentions = async (client, task, comment, authorId) => {
+  const usernames = extractMentions(comment.body)
+  if (usernames.length === 0) return []
+
+  const membersResult = await client.query(
+    `SELECT u.id, u.username, u.email
+     FROM users u
+     JOIN family_members fm ON fm.user_id = u.id
+     WHERE fm.family_id = $1 AND LOWER(u.username) = ANY($2::text[]) AND u.id <> $3`,
+    [task.family_id, usernames, authorId],
+  )
+  if (membersResult.rows.length === 0) return []
+
+  const insertResult = await client.query(
+    `INSERT INTO comment_mentions (comment_id, user_id)
+     SELECT $1, unnest($2::int[])
+     ON CONFLICT DO NOTHING
+     RETURNING user_id`,
+    [comment.id, membersResult.rows.map((member) => member.id)],
+  )
+  const newlyMentioned = new Set(insertResult.rows.map((row) => row.user_id))
+
+  return membersResult.rows.filter((member) => newlyMentioned.has(member.id))
+}
+
+// The task's comments as a tree: top-level comments, oldest first, each with nested `replies`
+export const listComments = async (client, taskId) => {
+  const result = await client.query(
+    `SELECT c.*, u.username as author_username
+     FROM task_comments c
+     LEFT JOIN users u ON c.user_id = u.id
+     WHERE c.family_task_id = $1
+     ORDER BY c.created_at, c.id`,
+    [taskId],
+  )
+
+  const byId = new Map(result.rows.map((comment) => [comment.id, { ...comment, replies: [] }]))
+  const thread = []
+
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id)
+    if (parent) parent.replies.push(comment)
+    else thread.push(comment)
+  }
+
+  return { comments: thread, count: result.rows.filter((comment) => !comment.deleted_at).length }
+}
+
+// Post a comment or a reply (parent_id); returns { comment, mentioned }
+export const addComment = async (client, task, fields, userId) => {
+  if (fields.parent_id) {
+    const parent = await getComment(client, task.id, fields.parent_id)
+
+    if (!parent) {
+      return { status: 400, error: "Parent comment not found on this task" }
+    }
+    if (parent.deleted_at) {
+      return { status: 400, error: "Cannot reply to a deleted comment" }
+    }
+  }
+
+  const result = await client.query(
+    `INSERT INTO task_comments (family_task_id, parent_id, user_id, body)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [task.id, fields.parent_id ?? null, userId, fields.body],
+  )
+
+  const comment = await getComment(client, task.id, result.rows[0].id)
+  return { comment, mentioned: await recordMentions(client, task, comment, userId) }
+}
+
+// Edit a comment (author only); returns { comment, mentioned } or { status, error }
+export const updateComment = async (client, task, commentId, fields, userId) => {
+  const existing = await getComment(client, task.id, commentId)
+
+  if (!existing || existing.deleted_at) {
+    return { status: 404, error: "Comment not found" }
+  }
+
+  if (existing.user_id !== userId) {
+    return { status: 403, error: "You can only edit your own comments" }
+  }
+
+  await client.query("UPDATE task_comments SET body = $1, edited_at = CURRENT_TIMESTAMP WHERE id = $2", [
+    fields.body,
+    commentId,
+  ])
+
+  const comment = await getComment(client, task.id, commentId)
+  return { comment, mentioned: await recordMentions(client, task, comment, userId) }
+}
+
+/**
+ * Delete a comment (its author, or an owner or admin as moderator).
+ * A comment with replies is blanked so the thread stays readable; otherwise
+ * it is removed, along with deleted ancestors that no longer have replies.
+ */
+export const deleteComment = async (client, task, commentId, userId) => {
+  const comment = await getComment(client, task.id, commentId)
+
+  if (!comment || comment.deleted_at) {
+    return { status: 404, error: "Comment not found" }
+  }
+
+  if (comment.user_id !== userId && !hasFamilyPermission(task.member_role, "comments:moderate")) {
+    return { status: 403, error: "Only the author or a family admin can delete this comment" }
+  }
+
+  const repliesResult = await client.query("SELECT 1 FROM task_comments WHERE parent_id = $1 LIMIT 1", [commentId])
+
+  if (repliesResult.rows.length > 0) {
+    await client.query(
+      "UPDATE task_comments SET body = NULL, deleted_at = CURRENT_TIMESTAMP, deleted_by = $2 WHERE id = $1",
+      [commentId, userId],
+    )
+    await client.query("DELETE FROM comment_mentions WHERE comment_id = $1", [commentId])
+    return { deleted: true, kept_for_replies: true }
+  }
+
+  await client.query("DELETE FROM task_comments WHERE id = $1", [commentId])
+
+  let parentId = comment.parent_id
+  while (parentId) {
+    const parentResult = await client.query(
+      `DELETE FROM task_comments p
+       WHERE p.id = $1 AND p.deleted_at IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM task_comments c WHERE c.parent_id = p.id)
+       RETURNING p.parent_id`,
+      [parentId],
+    )
+    parentId = parentResult.rows[0]?.parent_id
+  }
+
+  return { deleted: true, kept_for_replies: false }
+}
+
+// Email the members a comment newly mentioned; call once the comment is committed
+export const notifyMentions = async ({ mentioned, comment, task }) => {
+  const taskUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/family/tasks/${task.id}#comment-${comment.id}`
+  const excerpt = comment.body.length > 500 ? `${comment.body.slice(0, 500)}…` : comment.body
+
+  for (const member of mentioned) {
+    await sendEmail(
+      member.email,
+      `${comment.author_username} mentioned you on "${task.title}" - TaskFlow`,
+      emailTemplates.commentMention(
+        escapeHtml(member.username),
+        escapeHtml(comment.author_username),
+        escapeHtml(task.title),
+        escapeHtml(task.family_name),
+        escapeHtml(excerpt),
+        taskUrl,
+      ),
+    )
+  }
+
+  if (mentioned.length > 0 && process.env.NODE_ENV !== "production") {
+    console.log("💬 Mention notifications sent:", mentioned.length)
+  }
+}
+
+export default {
+  MAX_COMMENT_LENGTH,
+  parseComment,
+  extractMentions,
+  listComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  notifyMentions,
+}
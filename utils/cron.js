@@ -0,0 +1,103 @@
+// Minimal 5-field cron expressions: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 }, // 0 and 7 are both Sunday
+]
+
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60
+
+// Expand one field ("*", "*/15", "1-5", "0,30", "10-50/10") into a set of values
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set()
+
+  for (const part of expression.split(",")) {
+    const [range, stepText] = part.split("/")
+    const step = stepText === undefined ? 1 : Number.parseInt(stepText)
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron ${name} field: "${part}"`)
+    }
+
+    let start = min
+    let end = max
+
+    if (range !== "*") {
+      const [startText, endText] = range.split("-")
+      start = Number(startText)
+      end = endText === undefined ? (stepText === undefined ? start : max) : Number(endText)
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field: "${part}"`)
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value)
+    }
+  }
+
+  return values
+}
+
+/**
+ * Parse a cron expression. Throws on invalid input.
+ * @returns {{ expression: string, minute: Set, hour: Set, dayOfMonth: Set, month: Set, dayOfWeek: Set, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ */
+export const parseCron = (expression) => {
+  const parts = expression.trim().split(/\s+/)
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: "${expression}"`)
+  }
+
+  const schedule = { expression }
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field)
+  })
+
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0)
+  }
+
+  schedule.anyDayOfMonth = parts[2] === "*"
+  schedule.anyDayOfWeek = parts[4] === "*"
+
+  return schedule
+}
+
+// Like classic cron: when both day fields are restricted, either may match
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate())
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay())
+
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek
+  }
+  return dayOfMonth || dayOfWeek
+}
+
+// Next time (server local time, whole minutes) strictly after `from`
+export const getNextRun = (schedule, from = new Date()) => {
+  const date = new Date(from)
+  date.setSeconds(0, 0)
+  date.setMinutes(date.getMinutes() + 1)
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    if (
+      schedule.month.has(date.getMonth() + 1) &&
+      matchesDay(schedule, date) &&
+      schedule.hour.has(date.getHours()) &&
+      schedule.minute.has(date.getMinutes())
+    ) {
+      return date
+    }
+    date.setMinutes(date.getMinutes() + 1)
+  }
+
+  return null
+}
+
+export default { parseCron, getNextRun }
@@ -0,0 +1,181 @@
+// Personal data export (JSON document or ZIP of CSV files)
+import { query } from "../config/database.js"
+import { sendEmail, emailTemplates } from "../config/email.js"
+import { toCsv, formatDate } from "./helpers.js"
+import { createZip } from "./zip.js"
+import { envInt } from "../middleware/rateLimit.js"
+
+// Exports with more rows than this are generated in the background
+export const EXPORT_SYNC_MAX_ROWS = envInt("EXPORT_SYNC_MAX_ROWS", 1000)
+const EXPORT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000 // 7 days
+
+export const EXPORT_FORMATS = ["json", "zip"]
+
+// Number of task rows an export would contain
+export const countExportRows = async (userId) => {
+  const result = await query(
+    `SELECT
+       (SELECT COUNT(*) FROM tasks WHERE user_id = $1) +
+       (SELECT COUNT(*) FROM family_tasks WHERE created_by = $1 OR assigned_to = $1) AS total`,
+    [userId],
+  )
+  return Number.parseInt(result.rows[0].total)
+}
+
+// Everything stored about a user, minus secrets (password hash, 2FA secret, token hashes)
+export const collectUserData = async (userId) => {
+  // Every column but the secrets, so columns added later are exported too
+  const userResult = await query("SELECT * FROM users WHERE id = $1", [userId])
+  const { password_hash, totp_secret, ...user } = userResult.rows[0]
+
+  const tasksResult = await query("SELECT * FROM tasks WHERE user_id = $1 ORDER BY week_start DESC, id", [userId])
+
+  const familyTasksResult = await query(
+    `SELECT ft.*, f.name as family_name
+     FROM family_tasks ft
+     JOIN families f ON ft.family_id = f.id
+     WHERE ft.created_by = $1 OR ft.assigned_to = $1
+     ORDER BY ft.week_start DESC, ft.id`,
+    [userId],
+  )
+
+  const checklistResult = await query(
+    `SELECT ci.* FROM checklist_items ci
+     LEFT JOIN tasks t ON ci.task_id = t.id
+     LEFT JOIN family_tasks ft ON ci.family_task_id = ft.id
+     WHERE t.user_id = $1 OR ft.created_by = $1 OR ft.assigned_to = $1
+     ORDER BY ci.task_id, ci.family_task_id, ci.position, ci.id`,
+    [userId],
+  )
+
+  const tagsResult = await query("SELECT * FROM tags WHERE user_id = $1 ORDER BY LOWER(name)", [userId])
+
+  const taskTagsResult = await query(
+    `SELECT tt.* FROM task_tags tt
+     JOIN tasks t ON tt.task_id = t.id
+     WHERE t.user_id = $1
+     ORDER BY tt.task_id, tt.tag_id`,
+    [userId],
+  )
+
+  const commentsResult = await query(
+    `SELECT c.id, c.family_task_id, c.parent_id, c.body, c.edited_at, c.deleted_at, c.created_at
+     FROM task_comments c WHERE c.user_id = $1
+     ORDER BY c.created_at`,
+    [userId],
+  )
+
+  const membershipsResult = await query(
+    `SELECT f.id as family_id, f.name as family_name, fm.role, fm.joined_at, (f.created_by = $1) as is_leader
+     FROM family_members fm
+     JOIN families f ON fm.family_id = f.id
+     WHERE fm.user_id = $1
+     ORDER BY fm.joined_at`,
+    [userId],
+  )
+
+  const sessionsResult = await query(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at, revoked_at
+     FROM user_sessions WHERE user_id = $1
+     ORDER BY created_at DESC`,
+    [userId],
+  )
+
+  return {
+    exported_at: new Date().toISOString(),
+    user,
+    tasks: tasksResult.rows,
+    family_tasks: familyTasksResult.rows,
+    checklist_items: checklistResult.rows,
+    tags: tagsResult.rows,
+    task_tags: taskTagsResult.rows,
+    comments: commentsResult.rows,
+    family_memberships: membershipsResult.rows,
+    sessions: sessionsResult.rows,
+  }
+}
+
+// Turn collected data into a downloadable file
+export const buildExportFile = (data, format) => {
+  const baseName = `taskflow-export-${data.user.id}-${formatDate(data.exported_at)}`
+
+  if (format === "zip") {
+    const datasets = ["tasks", "family_tasks", "checklist_items", "tags", "task_tags", "comments", "family_memberships", "sessions"]
+
+    const files = [
+      { name: "user.csv", data: toCsv([data.user]) },
+      ...datasets.map((name) => ({ name: `${name}.csv`, data: toCsv(data[name]) })),
+    ]
+
+    return { fileName: `${baseName}.zip`, contentType: "application/zip", buffer: createZip(files) }
+  }
+
+  return {
+    fileName: `${baseName}.json`,
+    contentType: "application/json",
+    buffer: Buffer.from(JSON.stringify(data, null, 2), "utf8"),
+  }
+}
+
+// Queue an export row to be filled by generateExport
+export const createExportRequest = async (userId, format) => {
+  const result = await query(
+    "INSERT INTO data_exports (user_id, format, expires_at) VALUES ($1, $2, $3) RETURNING id, format, status, created_at",
+    [userId, format, new Date(Date.now() + EXPORT_RETENTION_MS)],
+  )
+  return result.rows[0]
+}
+
+// Build a queued export and email the user when it's ready.
+// Each call counts as an attempt; exports that are no longer pending are left alone.
+export const generateExport = async (exportId) => {
+  const exportResult = await query(
+    `UPDATE data_exports de SET started_at = CURRENT_TIMESTAMP, attempts = de.attempts + 1
+     FROM users u
+     WHERE de.id = $1 AND de.status = 'pending' AND u.id = de.user_id
+     RETURNING de.id, de.format, de.expires_at, u.id as user_id, u.username, u.email`,
+    [exportId],
+  )
+
+  if (exportResult.rows.length === 0) return
+
+  const dataExport = exportResult.rows[0]
+
+  try {
+    const data = await collectUserData(dataExport.user_id)
+    const file = buildExportFile(data, dataExport.format)
+
+    await query(
+      `UPDATE data_exports
+       SET status = 'ready', file_name = $1, content_type = $2, file_data = $3, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [file.fileName, file.contentType, file.buffer, exportId],
+    )
+
+    const downloadUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/account/exports/${exportId}`
+
+    await sendEmail(
+      dataExport.email,
+      "Your data export is ready - TaskFlow",
+      emailTemplates.dataExportReady(dataExport.username, downloadUrl, dataExport.expires_at),
+    )
+
+    console.log("📦 Data export ready:", { id: exportId, userId: dataExport.user_id })
+  } catch (error) {
+    console.error("❌ Data export failed:", error.message)
+    await query("UPDATE data_exports SET status = 'failed', error = $1, completed_at = CURRENT_TIMESTAMP WHERE id = $2", [
+      error.message,
+      exportId,
+    ])
+  }
+}
+
+export default {
+  EXPORT_SYNC_MAX_ROWS,
+  EXPORT_FORMATS,
+  countExportRows,
+  collectUserData,
+  buildExportFile,
+  createExportRequest,
+  generateExport,
+}
@@ -0,0 +1,189 @@
+// Family membership changes: joining, roles, ownership, and members leaving
+import { FAMILY_ROLES, outranks } from "../middleware/familyPermissions.js"
+import { envInt } from "../middleware/rateLimit.js"
+
+// How many families one user can belong to at once
+export const MAX_FAMILIES_PER_USER = envInt("MAX_FAMILIES_PER_USER", 10)
+
+// Roles that can be handed out with a role change; ownership moves with transferOwnership
+export const ASSIGNABLE_ROLES = FAMILY_ROLES.filter((role) => role !== "owner")
+
+// What happens to a departing member's pending tasks and recurring series
+export const TASK_HANDOFF_ACTIONS = ["unassign", "reassign", "delete"]
+
+// Whether the user can create or join another family
+export const canJoinAnotherFamily = async (client, userId) => {
+  const result = await client.query("SELECT COUNT(*)::int as count FROM family_members WHERE user_id = $1", [userId])
+  return result.rows[0].count < MAX_FAMILIES_PER_USER
+}
+
+const getMember = async (client, familyId, userId) => {
+  const result = await client.query(
+    `SELECT fm.*, u.username, u.email FROM family_members fm
+     JOIN users u ON fm.user_id = u.id
+     WHERE fm.family_id = $1 AND fm.user_id = $2
+     FOR UPDATE OF fm`,
+    [familyId, userId],
+  )
+  return result.rows[0]
+}
+
+/**
+ * Change a member's role. `family.role` is the acting member's role: they can
+ * only change members ranked below them, and only to a role below their own.
+ */
+export const changeMemberRole = async (client, family, actorId, targetUserId, role) => {
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return { status: 400, error: `Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}` }
+  }
+
+  if (targetUserId === actorId) {
+    return { status: 400, error: "You cannot change your own role" }
+  }
+
+  const member = await getMember(client, family.id, targetUserId)
+
+  if (!member) {
+    return { status: 404, error: "Family member not found" }
+  }
+
+  if (!outranks(family.role, member.role) || !outranks(family.role, role)) {
+    return { status: 403, error: "You can only manage members and roles below your own" }
+  }
+
+  const result = await client.query(
+    `UPDATE family_members SET role = $1 WHERE id = $2
+     RETURNING user_id, role, joined_at`,
+    [role, member.id],
+  )
+
+  return { member: { ...result.rows[0], username: member.username } }
+}
+
+/**
+ * Make another member the owner. The previous owner (if still a member) becomes
+ * an admin; families.created_by always points at the current owner.
+ */
+export const transferOwnership = async (client, familyId, newOwnerId) => {
+  const member = await getMember(client, familyId, newOwnerId)
+
+  if (!member) {
+    return { status: 404, error: "Family member not found" }
+  }
+
+  if (member.role === "owner") {
+    return { status: 400, error: "This member already owns the family" }
+  }
+
+  await client.query("UPDATE family_members SET role = 'admin' WHERE family_id = $1 AND role = 'owner'", [familyId])
+  await client.query("UPDATE family_members SET role = 'owner' WHERE id = $1", [member.id])
+  await client.query("UPDATE families SET created_by = $1 WHERE id = $2", [newOwnerId, familyId])
+
+  return { owner: { user_id: newOwnerId, username: member.username } }
+}
+
+// The member who should take over a family: the highest-ranked one, longest-standing first
+export const findSuccessor = async (client, familyId, excludedUserId) => {
+  const result = await client.query(
+    `SELECT user_id FROM family_members
+     WHERE family_id = $1 AND user_id <> $2
+     ORDER BY CASE role WHEN 'admin' THEN 0 WHEN 'member' THEN 1 ELSE 2 END, joined_at ASC, id ASC
+     LIMIT 1`,
+    [familyId, excludedUserId],
+  )
+  return result.rows[0]?.user_id
+}
+
+/**
+ * Validate how a departing member's tasks are handed off:
+ * { task_action: unassign (default)|reassign|delete, reassign_to? }
+ */
+export const parseTaskHandoff = (body = {}) => {
+  const { task_action = "unassign", reassign_to } = body
+
+  if (!TASK_HANDOFF_ACTIONS.includes(task_action)) {
+    return { error: `task_action must be one of: ${TASK_HANDOFF_ACTIONS.join(", ")}` }
+  }
+
+  if (task_action === "reassign" && (!Number.isInteger(reassign_to) || reassign_to < 1)) {
+    return { error: "reassign_to must be the user ID of another family member" }
+  }
+
+  return { action: task_action, reassignTo: task_action === "reassign" ? reassign_to : null }
+}
+
+/**
+ * Take a member out of a family, handing off their pending tasks and the series
+ * assigned to them first. Completed tasks keep their assignee as history.
+ * When someone else removes the member, `actorRole` must outrank the member's role.
+ * Returns { member, tasks: { action, count } } or { status, error }.
+ */
+export const removeMember = async (client, familyId, userId, handoff, { actorRole = null } = {}) => {
+  const member = await getMember(client, familyId, userId)
+
+  if (!member) {
+    return { status: 404, error: "Family member not found" }
+  }
+
+  if (actorRole && !outranks(actorRole, member.role)) {
+    return { status: 403, error: "You can only remove members ranked below you" }
+  }
+
+  if (member.role === "owner") {
+    return { status: 400, error: "The owner must transfer ownership before leaving the family" }
+  }
+
+  if (handoff.action === "reassign") {
+    const target = await getMember(client, familyId, handoff.reassignTo)
+
+    if (!target || target.user_id === userId) {
+      return { status: 400, error: "reassign_to must be the user ID of another family member" }
+    }
+  }
+
+  let tasksResult
+
+  if (handoff.action === "delete") {
+    tasksResult = await client.query(
+      `DELETE FROM family_tasks WHERE family_id = $1 AND assigned_to = $2 AND status = 'pending' RETURNING id`,
+      [familyId, userId],
+    )
+    // Stop their series too, or they would keep producing unassigned tasks
+    await client.query(
+      "UPDATE task_series SET active = FALSE, assigned_to = NULL WHERE family_id = $1 AND assigned_to = $2",
+      [familyId, userId],
+    )
+  } else {
+    tasksResult = await client.query(
+      `UPDATE family_tasks SET assigned_to = $3
+       WHERE family_id = $1 AND assigned_to = $2 AND status = 'pending'
+       RETURNING id`,
+      [familyId, userId, handoff.reassignTo],
+    )
+    await client.query("UPDATE task_series SET assigned_to = $3 WHERE family_id = $1 AND assigned_to = $2", [
+      familyId,
+      userId,
+      handoff.reassignTo,
+    ])
+  }
+
+  await client.query("DELETE FROM family_members WHERE id = $1", [member.id])
+  await client.query("UPDATE users SET default_family_id = NULL WHERE id = $1 AND default_family_id = $2", [
+    userId,
+    familyId,
+  ])
+
+  return { member, tasks: { action: handoff.action, count: tasksResult.rows.length } }
+}
+
+export default {
+  MAX_FAMILIES_PER_USER,
+  ASSIGNABLE_ROLES,
+  TASK_HANDOFF_ACTIONS,
+  canJoinAnotherFamily,
+  changeMemberRole,
+  transferOwnership,
+  findSuccessor,
+  parseTaskHandoff,
+  removeMember,
+}
@@ -1,21 +1,84 @@
 // Utility functions
-export const getCurrentWeekStart = () => {
-  const today = new Date()
-  const day = today.getDay()
-  const diff = today.getDate() - day
-  const weekStart = new Date(today.setDate(diff))
-  weekStart.setHours(0, 0, 0, 0)
-  return weekStart
+import crypto from "crypto"
+
+export const DEFAULT_TIMEZONE = "UTC"
+export const WEEK_START_DAYS = [0, 1] // Sunday, Monday
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone.length === 0 || timeZone.length > 64) return false
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Calendar date (YYYY-MM-DD) of `date` as seen in the given IANA time zone
+export const getLocalDate = (timeZone = DEFAULT_TIMEZONE, date = new Date()) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date)
+  const part = (type) => parts.find((p) => p.type === type).value
+  return `${part("year")}-${part("month")}-${part("day")}`
+}
+
+// Date and time for people to read, e.g. "Mon, Oct 19, 2026, 5:30 PM GMT+2", in the given time zone
+export const formatDateTime = (date, timeZone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(new Date(date))
+
+// Shift a YYYY-MM-DD date by a number of days
+export const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().split("T")[0]
+}
+
+// First day of the week containing a YYYY-MM-DD date (weekStartDay: 0 = Sunday, 1 = Monday)
+export const getWeekStartOf = (dateStr, weekStartDay = 0) => {
+  const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay()
+  return addDays(dateStr, -((day - weekStartDay + 7) % 7))
+}
+
+/**
+ * Start of the current week (YYYY-MM-DD) for a user or family,
+ * using its `timezone` and `week_start_day` settings
+ */
+export const getCurrentWeekStart = ({ timezone = DEFAULT_TIMEZONE, week_start_day = 0 } = {}) => {
+  return getWeekStartOf(getLocalDate(timezone), week_start_day)
 }
 
 export const formatDate = (date) => {
   return new Date(date).toISOString().split("T")[0]
 }
 
+// Escape user-provided text before it goes into an HTML email
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+
+// Unambiguous characters only (no 0/O, 1/I/L), so codes can be read out and typed
+const INVITATION_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"
+
+// Random invitation code such as "K7QM-3XWP-TR9D" (about 59 bits from crypto)
 export const generateInvitationCode = () => {
-  return Math.random().toString(36).substring(2, 8).toUpperCase()
+  const chars = Array.from({ length: 12 }, () => INVITATION_ALPHABET[crypto.randomInt(INVITATION_ALPHABET.length)])
+  return [0, 4, 8].map((start) => chars.slice(start, start + 4).join("")).join("-")
 }
 
+// Canonical form of a typed code: uppercase, without dashes or spaces
+export const normalizeInvitationCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, "")
+
 export const validatePriority = (priority) => {
   return [1, 2, 3].includes(priority)
 }
@@ -29,11 +92,10 @@ export const calculateCompletionRate = (completed, total) => {
   return Math.round((completed / total) * 100)
 }
 
+// First and last day (YYYY-MM-DD) of the week starting at weekStart
 export const getWeekRange = (weekStart) => {
-  const start = new Date(weekStart)
-  const end = new Date(start)
-  end.setDate(start.getDate() + 6)
-  return { start, end }
+  const start = formatDate(weekStart)
+  return { start, end: addDays(start, 6) }
 }
 
 export const isValidEmail = (email) => {
@@ -51,10 +113,66 @@ export const paginate = (page = 1, limit = 10) => {
   return { limit, offset }
 }
 
+// Read ?page and ?limit from a query string, clamped to sane values
+export const parsePagination = ({ page, limit } = {}, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const pageNumber = Math.max(Number.parseInt(page) || 1, 1)
+  const pageSize = Math.min(Math.max(Number.parseInt(limit) || defaultLimit, 1), maxLimit)
+  return { page: pageNumber, ...paginate(pageNumber, pageSize) }
+}
+
+export const DUE_FILTERS = ["overdue", "soon"]
+
+// SQL condition for ?due=overdue|soon (hours is sanitized, so it is safe to inline)
+export const buildDueCondition = (due, withinHours = 24, alias = "") => {
+  const column = (name) => (alias ? `${alias}.${name}` : name)
+
+  if (due === "overdue") {
+    return `${column("status")} = 'pending' AND ${column("due_at")} < CURRENT_TIMESTAMP`
+  }
+
+  if (due === "soon") {
+    const hours = Math.min(Math.max(Number.parseInt(withinHours) || 24, 1), 24 * 30)
+    return `${column("status")} = 'pending' AND ${column("due_at")} >= CURRENT_TIMESTAMP AND ${column("due_at")} < CURRENT_TIMESTAMP + INTERVAL '${hours} hours'`
+  }
+
+  return null
+}
+
+// Serialize an array of flat objects as CSV (RFC 4180 quoting)
+export const toCsv = (rows, columns = Object.keys(rows[0] || {})) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return ""
+    const text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  const lines = [columns.join(",")]
+  for (const row of rows) {
+    lines.push(columns.map((column) => escape(row[column])).join(","))
+  }
+  return lines.join("\r\n") + "\r\n"
+}
+
+// Error carrying an HTTP status, picked up by errorHandler
+export const createError = (status, message) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
 export default {
+  DEFAULT_TIMEZONE,
+  WEEK_START_DAYS,
+  isValidTimeZone,
+  getLocalDate,
+  formatDateTime,
+  addDays,
+  getWeekStartOf,
   getCurrentWeekStart,
   formatDate,
+  escapeHtml,
   generateInvitationCode,
+  normalizeInvitationCode,
   validatePriority,
   validateStatus,
   calculateCompletionRate,
@@ -62,4 +180,9 @@ export default {
   isValidEmail,
   sanitizeInput,
   paginate,
+  parsePagination,
+  DUE_FILTERS,
+  buildDueCondition,
+  toCsv,
+  createError,
 }
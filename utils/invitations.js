@@ -0,0 +1,340 @@
+// Family invitations: shareable or emailed codes with an optional expiry and use limit,
+// and the queue of join requests for invitations that need approval
+import { sendEmail, emailTemplates } from "../config/email.js"
+import { envInt } from "../middleware/rateLimit.js"
+import { hashToken } from "./sessions.js"
+import { escapeHtml, generateInvitationCode, normalizeInvitationCode } from "./helpers.js"
+import { MAX_FAMILIES_PER_USER, canJoinAnotherFamily } from "./familyMembers.js"
+
+// Lifetime of an invitation that doesn't set expires_in_hours (one week)
+export const DEFAULT_INVITATION_TTL_HOURS = envInt("DEFAULT_INVITATION_TTL_HOURS", 168)
+export const MAX_INVITATION_TTL_HOURS = 24 * 90
+export const MAX_INVITATION_USES = 1000
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const CODE_LENGTH = 12
+// Permanent codes from before invitations existed, carried over by the upgrade in database.sql
+const LEGACY_CODE_LENGTH = 6
+
+// revoked, expired, used_up or active
+const invitationStatusSql = `CASE
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+    WHEN i.max_uses IS NOT NULL AND i.use_count >= i.max_uses THEN 'used_up'
+    ELSE 'active'
+  END`
+
+const invitationColumns = `i.id, i.family_id, i.email, i.max_uses, i.use_count, i.requires_approval,
+  i.expires_at, i.revoked_at, i.created_at, i.created_by, u.username as created_by_username,
+  ${invitationStatusSql} as status`
+
+const getInvitation = async (client, familyId, invitationId) => {
+  const result = await client.query(
+    `SELECT ${invitationColumns}
+     FROM family_invitations i
+     LEFT JOIN users u ON i.created_by = u.id
+     WHERE i.id = $1 AND i.family_id = $2`,
+    [invitationId, familyId],
+  )
+  return result.rows[0]
+}
+
+/**
+ * Validate an invitation create/regenerate body:
+ * { expires_in_hours?, max_uses?, email?, requires_approval? }
+ * expires_in_hours: null never expires; omitted uses the default lifetime.
+ * max_uses: null or omitted is unlimited, except for emailed invitations (one use).
+ * With `regenerate`, only expires_in_hours is accepted.
+ */
+export const parseInvitationInput = (body = {}, { regenerate = false } = {}) => {
+  const { expires_in_hours, max_uses, email, requires_approval } = body
+
+  if (regenerate && [max_uses, email, requires_approval].some((value) => value !== undefined)) {
+    return { error: "Only expires_in_hours can be changed when regenerating an invitation" }
+  }
+
+  const fields = { expiresInHours: DEFAULT_INVITATION_TTL_HOURS, maxUses: null, email: null, requiresApproval: false }
+
+  if (expires_in_hours !== undefined) {
+    if (
+      expires_in_hours !== null &&
+      (!Number.isInteger(expires_in_hours) || expires_in_hours < 1 || expires_in_hours > MAX_INVITATION_TTL_HOURS)
+    ) {
+      return { error: `expires_in_hours must be between 1 and ${MAX_INVITATION_TTL_HOURS}, or null` }
+    }
+    fields.expiresInHours = expires_in_hours
+  }
+
+  if (email !== undefined && email !== null) {
+    if (typeof email !== "string" || email.length > 255 || !EMAIL_PATTERN.test(email.trim())) {
+      return { error: "email must be a valid email address" }
+    }
+    fields.email = email.trim().toLowerCase()
+    fields.maxUses = 1
+  }
+
+  if (max_uses !== undefined && max_uses !== null) {
+    if (!Number.isInteger(max_uses) || max_uses < 1 || max_uses > MAX_INVITATION_USES) {
+      return { error: `max_uses must be between 1 and ${MAX_INVITATION_USES}, or null` }
+    }
+    fields.maxUses = max_uses
+  }
+
+  if (requires_approval !== undefined) {
+    if (typeof requires_approval !== "boolean") {
+      return { error: "requires_approval must be a boolean" }
+    }
+    fields.requiresApproval = requires_approval
+  }
+
+  return { fields }
+}
+
+// The family's invitations, newest first, with their status (codes are never shown again)
+export const listInvitations = async (client, familyId) => {
+  const result = await client.query(
+    `SELECT ${invitationColumns}
+     FROM family_invitations i
+     LEFT JOIN users u ON i.created_by = u.id
+     WHERE i.family_id = $1
+     ORDER BY i.created_at DESC, i.id DESC`,
+    [familyId],
+  )
+  return result.rows
+}
+
+/**
+ * Create an invitation. Only a hash of the code is stored, so the returned
+ * { invitation, code } is the one time the code can be read.
+ */
+export const createInvitation = async (client, familyId, fields, userId) => {
+  if (fields.email) {
+    const memberResult = await client.query(
+      `SELECT 1 FROM family_members fm
+       JOIN users u ON fm.user_id = u.id
+       WHERE fm.family_id = $1 AND LOWER(u.email) = $2`,
+      [familyId, fields.email],
+    )
+
+    if (memberResult.rows.length > 0) {
+      return { status: 409, error: "A member of this family already uses this email address" }
+    }
+  }
+
+  const code = generateInvitationCode()
+  const result = await client.query(
+    `INSERT INTO family_invitations (family_id, code_hash, email, max_uses, requires_approval, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(hours => $6::int), $7)
+     RETURNING id`,
+    [
+      familyId,
+      hashToken(normalizeInvitationCode(code)),
+      fields.email,
+      fields.maxUses,
+      fields.requiresApproval,
+      fields.expiresInHours,
+      userId,
+    ],
+  )
+
+  return { invitation: await getInvitation(client, familyId, result.rows[0].id), code }
+}
+
+/**
+ * Replace an invitation's code (the old one stops working) and restart its expiry.
+ * Its use count and limits carry over. Revoked invitations can't be brought back.
+ */
+export const regenerateInvitation = async (client, familyId, invitationId, fields) => {
+  const existing = await getInvitation(client, familyId, invitationId)
+
+  if (!existing) {
+    return { status: 404, error: "Invitation not found" }
+  }
+
+  if (existing.status === "revoked") {
+    return { status: 400, error: "A revoked invitation cannot be regenerated" }
+  }
+
+  const code = generateInvitationCode()
+  await client.query(
+    `UPDATE family_invitations
+     SET code_hash = $1, expires_at = CURRENT_TIMESTAMP + make_interval(hours => $2::int)
+     WHERE id = $3`,
+    [hashToken(normalizeInvitationCode(code)), fields.expiresInHours, invitationId],
+  )
+
+  return { invitation: await getInvitation(client, familyId, invitationId), code }
+}
+
+// Stop an invitation from being used; pending join requests made with it stay in the queue
+export const revokeInvitation = async (client, familyId, invitationId) => {
+  const result = await client.query(
+    `UPDATE family_invitations SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND family_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [invitationId, familyId],
+  )
+  return result.rows.length > 0
+}
+
+/**
+ * Use an invitation code for `user`. Joins the family straight away, or files a
+ * join request when the invitation requires approval.
+ * Returns { joined: true, family } or { joined: false, family, request } or { status, error }.
+ */
+export const redeemInvitation = async (client, rawCode, user) => {
+  const code = normalizeInvitationCode(rawCode)
+
+  if (code.length !== CODE_LENGTH && code.length !== LEGACY_CODE_LENGTH) {
+    return { status: 400, error: "Invalid invitation code" }
+  }
+
+  const result = await client.query(
+    `SELECT i.*, ${invitationStatusSql} as status, f.name as family_name
+     FROM family_invitations i
+     JOIN families f ON i.family_id = f.id
+     WHERE i.code_hash = $1
+     FOR UPDATE OF i`,
+    [hashToken(code)],
+  )
+  const invitation = result.rows[0]
+
+  if (!invitation) {
+    return { status: 400, error: "Invalid invitation code" }
+  }
+
+  if (invitation.status !== "active") {
+    const reasons = {
+      revoked: "This invitation has been revoked",
+      expired: "This invitation has expired",
+      used_up: "This invitation has already been used",
+    }
+    return { status: 410, error: reasons[invitation.status] }
+  }
+
+  if (invitation.email && invitation.email !== user.email.toLowerCase()) {
+    return { status: 403, error: "This invitation was sent to a different email address" }
+  }
+
+  const family = { id: invitation.family_id, name: invitation.family_name }
+  const memberResult = await client.query("SELECT 1 FROM family_members WHERE family_id = $1 AND user_id = $2", [
+    family.id,
+    user.id,
+  ])
+
+  if (memberResult.rows.length > 0) {
+    return { status: 409, error: "You are already a member of this family" }
+  }
+
+  if (!(await canJoinAnotherFamily(client, user.id))) {
+    return { status: 400, error: `You can belong to at most ${MAX_FAMILIES_PER_USER} families` }
+  }
+
+  let request = null
+
+  if (invitation.requires_approval) {
+    const requestResult = await client.query(
+      `INSERT INTO family_join_requests (family_id, user_id, invitation_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (family_id, user_id) WHERE status = 'pending' DO NOTHING
+       RETURNING id, status, created_at`,
+      [family.id, user.id, invitation.id],
+    )
+
+    if (requestResult.rows.length === 0) {
+      return { status: 409, error: "You already have a pending request to join this family" }
+    }
+
+    request = requestResult.rows[0]
+  } else {
+    await client.query("INSERT INTO family_members (family_id, user_id) VALUES ($1, $2)", [family.id, user.id])
+  }
+
+  await client.query("UPDATE family_invitations SET use_count = use_count + 1 WHERE id = $1", [invitation.id])
+
+  return request ? { joined: false, family, request } : { joined: true, family }
+}
+
+// Pending join requests, oldest first
+export const listJoinRequests = async (client, familyId) => {
+  const result = await client.query(
+    `SELECT r.id, r.user_id, u.username, u.email, r.invitation_id, r.status, r.created_at
+     FROM family_join_requests r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.family_id = $1 AND r.status = 'pending'
+     ORDER BY r.created_at, r.id`,
+    [familyId],
+  )
+  return result.rows
+}
+
+/**
+ * Approve (adding the user to the family) or reject a pending join request.
+ * Returns { request } or { status, error }.
+ */
+export const decideJoinRequest = async (client, familyId, requestId, approve, deciderId) => {
+  const result = await client.query(
+    `SELECT r.*, u.username FROM family_join_requests r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.id = $1 AND r.family_id = $2 AND r.status = 'pending'
+     FOR UPDATE OF r`,
+    [requestId, familyId],
+  )
+  const request = result.rows[0]
+
+  if (!request) {
+    return { status: 404, error: "Join request not found" }
+  }
+
+  if (approve) {
+    if (!(await canJoinAnotherFamily(client, request.user_id))) {
+      return { status: 400, error: `This user already belongs to ${MAX_FAMILIES_PER_USER} families` }
+    }
+
+    await client.query(
+      "INSERT INTO family_members (family_id, user_id) VALUES ($1, $2) ON CONFLICT (family_id, user_id) DO NOTHING",
+      [familyId, request.user_id],
+    )
+  }
+
+  const updated = await client.query(
+    `UPDATE family_join_requests SET status = $1, decided_by = $2, decided_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING id, user_id, invitation_id, status, created_at, decided_at`,
+    [approve ? "approved" : "rejected", deciderId, requestId],
+  )
+
+  return { request: { ...updated.rows[0], username: request.username } }
+}
+
+// Email an invitation's code to the address it was made for
+export const sendInvitationEmail = async ({ invitation, code }, inviterName, familyName) => {
+  const joinUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/family/join?code=${code}`
+
+  await sendEmail(
+    invitation.email,
+    `${inviterName} invited you to ${familyName} - TaskFlow`,
+    emailTemplates.familyInvitation(
+      escapeHtml(inviterName),
+      escapeHtml(familyName),
+      code,
+      joinUrl,
+      invitation.expires_at,
+    ),
+  )
+}
+
+export default {
+  DEFAULT_INVITATION_TTL_HOURS,
+  MAX_INVITATION_TTL_HOURS,
+  MAX_INVITATION_USES,
+  parseInvitationInput,
+  listInvitations,
+  createInvitation,
+  regenerateInvitation,
+  revokeInvitation,
+  redeemInvitation,
+  listJoinRequests,
+  decideJoinRequest,
+  sendInvitationEmail,
+}
@@ -0,0 +1,42 @@
+// Progressive account lockout after repeated failed logins
+import { query } from "../config/database.js"
+import { envInt } from "../middleware/rateLimit.js"
+
+const LOCKOUT_THRESHOLD = envInt("LOGIN_LOCKOUT_THRESHOLD", 5)
+const LOCKOUT_BASE_SECONDS = envInt("LOGIN_LOCKOUT_BASE_SECONDS", 60)
+const LOCKOUT_MAX_SECONDS = envInt("LOGIN_LOCKOUT_MAX_SECONDS", 60 * 60)
+
+// Seconds left on a lockout (0 when the account is not locked)
+export const getLockoutSeconds = (user) => {
+  if (!user.locked_until) return 0
+  return Math.max(0, Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000))
+}
+
+// Count a failed attempt; from the threshold on, the lockout doubles each time
+export const recordFailedLogin = async (userId) => {
+  const result = await query(
+    `UPDATE users SET
+       failed_login_attempts = failed_login_attempts + 1,
+       locked_until = CASE WHEN failed_login_attempts + 1 >= $2
+         THEN CURRENT_TIMESTAMP + LEAST($3 * POWER(2, failed_login_attempts + 1 - $2), $4) * INTERVAL '1 second'
+         ELSE locked_until END
+     WHERE id = $1
+     RETURNING failed_login_attempts, locked_until`,
+    [userId, LOCKOUT_THRESHOLD, LOCKOUT_BASE_SECONDS, LOCKOUT_MAX_SECONDS],
+  )
+
+  const user = result.rows[0]
+  if (user && user.failed_login_attempts >= LOCKOUT_THRESHOLD) {
+    console.warn("🔒 Account locked after failed logins:", { id: userId, attempts: user.failed_login_attempts })
+  }
+  return user
+}
+
+export const clearFailedLogins = async (userId) => {
+  await query(
+    "UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1 AND failed_login_attempts > 0",
+    [userId],
+  )
+}
+
+export default { getLockoutSeconds, recordFailedLogin, clearFailedLogins }
@@ -0,0 +1,192 @@
+// Recurrence rules (a small subset of iCalendar RRULE) working on YYYY-MM-DD strings
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_OCCURRENCES = 5000 // safety net for open-ended rules
+
+export const FREQUENCIES = ["daily", "weekly", "monthly"]
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const parseDate = (dateStr) => {
+  const [year, month, day] = dateStr.split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+const toDateString = (date) => date.toISOString().split("T")[0]
+
+const addDays = (dateStr, days) => toDateString(new Date(parseDate(dateStr).getTime() + days * DAY_MS))
+
+const isValidDateString = (value) => {
+  return typeof value === "string" && DATE_PATTERN.test(value) && toDateString(parseDate(value)) === value
+}
+
+// Normalize dates coming back from pg (Date objects) or the API (strings)
+export const toRuleDate = (value) => {
+  if (!value) return null
+  if (value instanceof Date) {
+    return toDateString(new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())))
+  }
+  return String(value).substring(0, 10)
+}
+
+/**
+ * Validate API input and return a rule object, or { error }.
+ * Input: { frequency, interval, weekdays, month_day, starts_on, until, count }
+ */
+export const normalizeRecurrence = (input, defaultStart) => {
+  if (!input || typeof input !== "object") {
+    return { error: "Recurrence must be an object" }
+  }
+
+  const { frequency, interval = 1, weekdays, month_day, starts_on = defaultStart, until = null, count = null } = input
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}` }
+  }
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return { error: "Recurrence interval must be a whole number between 1 and 365" }
+  }
+
+  if (!isValidDateString(starts_on)) {
+    return { error: "Recurrence starts_on must be a date (YYYY-MM-DD)" }
+  }
+
+  if (until !== null && (!isValidDateString(until) || until < starts_on)) {
+    return { error: "Recurrence until must be a date (YYYY-MM-DD) on or after starts_on" }
+  }
+
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    return { error: "Recurrence count must be a positive whole number" }
+  }
+
+  let byWeekday = null
+  if (frequency === "weekly") {
+    byWeekday = weekdays ?? [parseDate(starts_on).getUTCDay()]
+    const isWeekday = (day) => Number.isInteger(day) && day >= 0 && day <= 6
+    if (!Array.isArray(byWeekday) || byWeekday.length === 0 || !byWeekday.every(isWeekday)) {
+      return { error: "Recurrence weekdays must be a list of days (0 = Sunday ... 6 = Saturday)" }
+    }
+    byWeekday = [...new Set(byWeekday)].sort((a, b) => a - b)
+  }
+
+  let byMonthDay = null
+  if (frequency === "monthly") {
+    byMonthDay = month_day ?? parseDate(starts_on).getUTCDate()
+    if (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) {
+      return { error: "Recurrence month_day must be between 1 and 31" }
+    }
+  }
+
+  return {
+    frequency,
+    repeat_interval: interval,
+    by_weekday: byWeekday,
+    by_month_day: byMonthDay,
+    starts_on,
+    until_date: until,
+    occurrence_count: count,
+  }
+}
+
+// Candidate dates in order, before until/count are applied
+function* candidateDates(rule) {
+  const start = toRuleDate(rule.starts_on)
+
+  if (rule.frequency === "daily") {
+    for (let date = start; ; date = addDays(date, rule.repeat_interval)) {
+      yield date
+    }
+  }
+
+  if (rule.frequency === "weekly") {
+    const weekdays = rule.by_weekday
+    // Sunday of the week containing starts_on anchors the interval
+    const anchor = addDays(start, -parseDate(start).getUTCDay())
+    for (let week = 0; ; week += rule.repeat_interval) {
+      for (const weekday of weekdays) {
+        const date = addDays(anchor, week * 7 + weekday)
+        if (date >= start) yield date
+      }
+    }
+  }
+
+  if (rule.frequency === "monthly") {
+    const startDate = parseDate(start)
+    for (let month = 0; ; month += rule.repeat_interval) {
+      const year = startDate.getUTCFullYear()
+      const monthIndex = startDate.getUTCMonth() + month
+      // Clamp e.g. the 31st to the last day of shorter months
+      const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate()
+      const date = toDateString(new Date(Date.UTC(year, monthIndex, Math.min(rule.by_month_day, daysInMonth))))
+      if (date >= start) yield date
+    }
+  }
+}
+
+// Every occurrence of the rule in order, honouring until and count.
+// Skipped dates still count towards `count`, as EXDATE does in iCalendar.
+export function* iterateOccurrences(rule) {
+  const until = toRuleDate(rule.until_date)
+  let index = 0
+
+  for (const date of candidateDates(rule)) {
+    if (until && date > until) return
+    if (rule.occurrence_count && index >= rule.occurrence_count) return
+    if (index >= MAX_OCCURRENCES) return
+    index++
+    yield date
+  }
+}
+
+const skippedSet = (rule) => new Set((rule.skipped_dates || []).map(toRuleDate))
+
+// First non-skipped occurrence strictly after `afterDate` (null = from the start)
+export const nextOccurrence = (rule, afterDate = null) => {
+  const after = toRuleDate(afterDate)
+  const skipped = skippedSet(rule)
+
+  for (const date of iterateOccurrences(rule)) {
+    if (after && date <= after) continue
+    if (skipped.has(date)) continue
+    return date
+  }
+
+  return null
+}
+
+// Non-skipped occurrences within [from, to]
+export const occurrencesBetween = (rule, from, to) => {
+  const skipped = skippedSet(rule)
+  const dates = []
+
+  for (const date of iterateOccurrences(rule)) {
+    if (date > to) break
+    if (date >= from && !skipped.has(date)) dates.push(date)
+  }
+
+  return dates
+}
+
+export const isOccurrence = (rule, dateStr) => {
+  for (const date of iterateOccurrences(rule)) {
+    if (date === dateStr) return true
+    if (date > dateStr) return false
+  }
+  return false
+}
+
+// First day of the week (0 = Sunday, 1 = Monday) on or before the given date
+export const weekStartOf = (dateStr, weekStartDay = 0) => {
+  return addDays(dateStr, -((parseDate(dateStr).getUTCDay() - weekStartDay + 7) % 7))
+}
+
+export default {
+  FREQUENCIES,
+  toRuleDate,
+  normalizeRecurrence,
+  iterateOccurrences,
+  nextOccurrence,
+  occurrencesBetween,
+  isOccurrence,
+  weekStartOf,
+}
@@ -0,0 +1,103 @@
+// Weekly rollover: archive finished work and carry (or archive) unfinished tasks
+import { query, withTransaction } from "../config/database.js"
+
+export const ROLLOVER_MODES = ["carry", "archive"]
+
+/**
+ * Roll one owner's tasks over into the week starting at `weekStart`.
+ * Completed tasks from earlier weeks are archived. Pending ones are moved to
+ * the new week in "carry" mode, or archived in "archive" mode. Recurring
+ * occurrences are always archived since the series generates a fresh one.
+ */
+const rolloverTasks = async (client, { table, ownerColumn, ownerId, mode, weekStart }) => {
+  const archived = await client.query(
+    `UPDATE ${table}
+     SET archived = TRUE, archived_at = CURRENT_TIMESTAMP
+     WHERE ${ownerColumn} = $1 AND week_start < $2 AND archived = FALSE
+       AND (status = 'completed' OR series_id IS NOT NULL OR $3 = 'archive')
+     RETURNING id`,
+    [ownerId, weekStart, mode],
+  )
+
+  const carried = await client.query(
+    `UPDATE ${table}
+     SET week_start = $2, carry_over_count = carry_over_count + 1
+     WHERE ${ownerColumn} = $1 AND week_start < $2 AND archived = FALSE AND status = 'pending'
+     RETURNING id`,
+    [ownerId, weekStart],
+  )
+
+  return { archived: archived.rows.length, carried: carried.rows.length }
+}
+
+export const rolloverUser = async (user, weekStart) => {
+  return withTransaction((client) =>
+    rolloverTasks(client, {
+      table: "tasks",
+      ownerColumn: "user_id",
+      ownerId: user.id,
+      mode: user.rollover_mode,
+      weekStart,
+    }),
+  )
+}
+
+export const rolloverFamily = async (family, weekStart) => {
+  return withTransaction((client) =>
+    rolloverTasks(client, {
+      table: "family_tasks",
+      ownerColumn: "family_id",
+      ownerId: family.id,
+      mode: family.rollover_mode,
+      weekStart,
+    }),
+  )
+}
+
+/**
+ * Run the rollover for every user and family that has tasks from past weeks.
+ * Each owner's current week comes from its own time zone and week start day,
+ * so running this hourly rolls everyone over shortly after their week begins.
+ */
+export const runWeeklyRollover = async () => {
+  const totals = { users: 0, families: 0, archived: 0, carried: 0 }
+
+  const usersResult = await query(
+    `SELECT id, rollover_mode, current_week_start FROM (
+       SELECT u.id, u.rollover_mode, local_week_start(u.timezone, u.week_start_day)::text as current_week_start
+       FROM users u
+     ) u
+     WHERE EXISTS (
+       SELECT 1 FROM tasks t WHERE t.user_id = u.id AND t.archived = FALSE AND t.week_start < u.current_week_start::date
+     )`,
+  )
+
+  for (const user of usersResult.rows) {
+    const result = await rolloverUser(user, user.current_week_start)
+    totals.users++
+    totals.archived += result.archived
+    totals.carried += result.carried
+  }
+
+  const familiesResult = await query(
+    `SELECT id, rollover_mode, current_week_start FROM (
+       SELECT f.id, f.rollover_mode, local_week_start(f.timezone, f.week_start_day)::text as current_week_start
+       FROM families f
+     ) f
+     WHERE EXISTS (
+       SELECT 1 FROM family_tasks ft
+       WHERE ft.family_id = f.id AND ft.archived = FALSE AND ft.week_start < f.current_week_start::date
+     )`,
+  )
+
+  for (const family of familiesResult.rows) {
+    const result = await rolloverFamily(family, family.current_week_start)
+    totals.families++
+    totals.archived += result.archived
+    totals.carried += result.carried
+  }
+
+  return totals
+}
+
+export default { ROLLOVER_MODES, rolloverUser, rolloverFamily, runWeeklyRollover }
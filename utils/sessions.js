@@ -0,0 +1,177 @@
+// Session and refresh token management
+import crypto from "crypto"
+import { query, withTransaction } from "../config/database.js"
+import { generateToken } from "../middleware/auth.js"
+import { createError } from "./helpers.js"
+
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+const getRefreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+}
+
+// Store a new refresh token for a session and return the raw value
+const insertRefreshToken = async (client, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex")
+
+  await client.query("INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)", [
+    sessionId,
+    hashToken(refreshToken),
+    getRefreshTokenExpiry(),
+  ])
+
+  return refreshToken
+}
+
+// Device details recorded with a session
+export const getClientInfo = (req) => {
+  return {
+    userAgent: req.get("user-agent")?.substring(0, 500) || null,
+    ip: req.ip || null,
+  }
+}
+
+// Start a new session for a user and issue its first token pair
+export const createSession = async (user, { userAgent = null, ip = null } = {}) => {
+  const sessionId = crypto.randomUUID()
+
+  const refreshToken = await withTransaction(async (client) => {
+    await client.query("INSERT INTO user_sessions (id, user_id, user_agent, ip_address) VALUES ($1, $2, $3, $4)", [
+      sessionId,
+      user.id,
+      userAgent,
+      ip,
+    ])
+    return insertRefreshToken(client, sessionId)
+  })
+
+  return {
+    sessionId,
+    token: generateToken(user, sessionId),
+    refreshToken,
+  }
+}
+
+// Exchange a refresh token for a new token pair.
+// A token that was already rotated means it leaked, so the whole session is revoked.
+export const rotateRefreshToken = async (rawToken, { ip = null } = {}) => {
+  const outcome = await withTransaction(async (client) => {
+    const tokenResult = await client.query(
+      `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at, s.user_id, s.revoked_at
+       FROM refresh_tokens rt
+       JOIN user_sessions s ON rt.session_id = s.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(rawToken)],
+    )
+
+    if (tokenResult.rows.length === 0) {
+      return { error: "Invalid refresh token" }
+    }
+
+    const storedToken = tokenResult.rows[0]
+
+    if (storedToken.revoked_at) {
+      return { error: "Session has been revoked" }
+    }
+
+    if (storedToken.used_at) {
+      await client.query("UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1", [
+        storedToken.session_id,
+      ])
+      console.warn("🚨 Refresh token reuse detected, session revoked:", storedToken.session_id)
+      return { error: "Refresh token has already been used" }
+    }
+
+    if (new Date(storedToken.expires_at) < new Date()) {
+      return { error: "Refresh token expired" }
+    }
+
+    await client.query("UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1", [storedToken.id])
+    await client.query(
+      "UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address) WHERE id = $1",
+      [storedToken.session_id, ip],
+    )
+
+    const userResult = await client.query("SELECT id, username, email, token_version FROM users WHERE id = $1", [
+      storedToken.user_id,
+    ])
+
+    const refreshToken = await insertRefreshToken(client, storedToken.session_id)
+
+    return { user: userResult.rows[0], sessionId: storedToken.session_id, refreshToken }
+  })
+
+  // Thrown after the transaction so a reuse revocation is committed
+  if (outcome.error) {
+    throw createError(401, outcome.error)
+  }
+
+  return {
+    user: outcome.user,
+    token: generateToken(outcome.user, outcome.sessionId),
+    refreshToken: outcome.refreshToken,
+  }
+}
+
+// List sessions that are not revoked and still hold a usable refresh token
+export const listActiveSessions = async (userId) => {
+  const result = await query(
+    `SELECT s.id, s.user_agent, s.ip_address, s.created_at, s.last_seen_at
+     FROM user_sessions s
+     WHERE s.user_id = $1 AND s.revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.session_id = s.id AND rt.used_at IS NULL AND rt.expires_at > CURRENT_TIMESTAMP
+       )
+     ORDER BY s.last_seen_at DESC`,
+    [userId],
+  )
+  return result.rows
+}
+
+// Revoke a single session belonging to a user
+export const revokeSession = async (sessionId, userId) => {
+  const result = await query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId],
+  )
+  return result.rows.length > 0
+}
+
+// Revoke every active session of a user (accepts a transaction client)
+export const revokeAllSessions = async (userId, client = { query }) => {
+  const result = await client.query(
+    "UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL RETURNING id",
+    [userId],
+  )
+  return result.rows.length
+}
+
+// Revoke every session of a user except the one making the request
+export const revokeOtherSessions = async (userId, keepSessionId, client = { query }) => {
+  const result = await client.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [userId, keepSessionId],
+  )
+  return result.rows.length
+}
+
+export default {
+  hashToken,
+  getClientInfo,
+  createSession,
+  listActiveSessions,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+}
@@ -0,0 +1,184 @@
+// Tags on personal tasks (owned by a user) and family tasks (shared by a family)
+import { query } from "../config/database.js"
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/
+export const MAX_TAGS_PER_TASK = 20
+
+export const TAG_SCOPES = {
+  personal: { ownerColumn: "user_id", joinTable: "task_tags", taskColumn: "task_id" },
+  family: { ownerColumn: "family_id", joinTable: "family_task_tags", taskColumn: "family_task_id" },
+}
+
+// SELECT column with a task's tags as a JSON array, e.g. tagsJsonSql("t", "personal")
+export const tagsJsonSql = (alias, scope) => {
+  const { joinTable, taskColumn } = TAG_SCOPES[scope]
+  return `(SELECT COALESCE(json_agg(json_build_object('id', tg.id, 'name', tg.name, 'color', tg.color) ORDER BY tg.name), '[]')
+     FROM ${joinTable} jt JOIN tags tg ON tg.id = jt.tag_id
+     WHERE jt.${taskColumn} = ${alias}.id) as tags`
+}
+
+// Validate a tag create/update body: { name, color }
+export const parseTagInput = (body, { partial = false } = {}) => {
+  const fields = {}
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== "string" || body.name.trim().length === 0 || body.name.trim().length > 50) {
+      return { error: "Tag name is required and must be at most 50 characters" }
+    }
+    fields.name = body.name.trim()
+  }
+
+  if (body.color !== undefined) {
+    if (body.color !== null && (typeof body.color !== "string" || !COLOR_PATTERN.test(body.color))) {
+      return { error: "Tag color must be a hex color such as #3b82f6" }
+    }
+    fields.color = body.color?.toLowerCase() ?? null
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    return { error: "Provide name and/or color" }
+  }
+
+  return { fields }
+}
+
+// Validate { tag_ids: [...] } for attaching tags to a task
+export const parseTagIds = (tagIds) => {
+  const isId = (id) => Number.isInteger(id) && id > 0
+
+  if (!Array.isArray(tagIds) || tagIds.length === 0 || tagIds.length > MAX_TAGS_PER_TASK || !tagIds.every(isId)) {
+    return { error: `tag_ids must be a list of 1 to ${MAX_TAGS_PER_TASK} tag IDs` }
+  }
+
+  return { tagIds: [...new Set(tagIds)] }
+}
+
+// An owner's tags with how many tasks use each
+export const listTags = async (scope, ownerId) => {
+  const { ownerColumn, joinTable } = TAG_SCOPES[scope]
+  const result = await query(
+    `SELECT tg.*, (SELECT COUNT(*) FROM ${joinTable} jt WHERE jt.tag_id = tg.id)::int as task_count
+     FROM tags tg
+     WHERE tg.${ownerColumn} = $1
+     ORDER BY LOWER(tg.name)`,
+    [ownerId],
+  )
+  return result.rows
+}
+
+const nameTaken = async (scope, ownerId, name, exceptId = null) => {
+  const { ownerColumn } = TAG_SCOPES[scope]
+  const result = await query(
+    `SELECT 1 FROM tags WHERE ${ownerColumn} = $1 AND LOWER(name) = LOWER($2) AND id IS DISTINCT FROM $3`,
+    [ownerId, name, exceptId],
+  )
+  return result.rows.length > 0
+}
+
+export const createTag = async (scope, ownerId, fields, userId) => {
+  if (await nameTaken(scope, ownerId, fields.name)) {
+    return { status: 409, error: "A tag with this name already exists" }
+  }
+
+  const { ownerColumn } = TAG_SCOPES[scope]
+  const result = await query(
+    `INSERT INTO tags (${ownerColumn}, name, color, created_by) VALUES ($1, $2, $3, $4) RETURNING *`,
+    [ownerId, fields.name, fields.color ?? null, userId],
+  )
+  return { tag: result.rows[0] }
+}
+
+export const updateTag = async (scope, ownerId, tagId, fields) => {
+  if (fields.name !== undefined && (await nameTaken(scope, ownerId, fields.name, tagId))) {
+    return { status: 409, error: "A tag with this name already exists" }
+  }
+
+  const { ownerColumn } = TAG_SCOPES[scope]
+  const columns = Object.keys(fields)
+  const result = await query(
+    `UPDATE tags SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(", ")}
+     WHERE id = $1 AND ${ownerColumn} = $2
+     RETURNING *`,
+    [tagId, ownerId, ...columns.map((column) => fields[column])],
+  )
+
+  return result.rows[0] ? { tag: result.rows[0] } : { status: 404, error: "Tag not found" }
+}
+
+// Deleting a tag detaches it from every task
+export const deleteTag = async (scope, ownerId, tagId) => {
+  const { ownerColumn } = TAG_SCOPES[scope]
+  const result = await query(`DELETE FROM tags WHERE id = $1 AND ${ownerColumn} = $2 RETURNING id`, [tagId, ownerId])
+  return result.rows.length > 0
+}
+
+const getTaskTags = async (scope, taskId) => {
+  const { joinTable, taskColumn } = TAG_SCOPES[scope]
+  const result = await query(
+    `SELECT tg.id, tg.name, tg.color FROM ${joinTable} jt
+     JOIN tags tg ON tg.id = jt.tag_id
+     WHERE jt.${taskColumn} = $1
+     ORDER BY tg.name`,
+    [taskId],
+  )
+  return result.rows
+}
+
+/**
+ * Attach tags to a task. Every tag must belong to the task's owner
+ * (the user for personal tasks, the family for family tasks).
+ */
+export const attachTags = async (scope, ownerId, taskId, tagIds) => {
+  const { ownerColumn, joinTable, taskColumn } = TAG_SCOPES[scope]
+
+  const ownedResult = await query(`SELECT id FROM tags WHERE id = ANY($1::int[]) AND ${ownerColumn} = $2`, [
+    tagIds,
+    ownerId,
+  ])
+
+  if (ownedResult.rows.length !== tagIds.length) {
+    return { status: 400, error: "Unknown tag for this task" }
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*)::int as count FROM ${joinTable} WHERE ${taskColumn} = $1 AND NOT (tag_id = ANY($2::int[]))`,
+    [taskId, tagIds],
+  )
+
+  if (countResult.rows[0].count + tagIds.length > MAX_TAGS_PER_TASK) {
+    return { status: 400, error: `A task can have at most ${MAX_TAGS_PER_TASK} tags` }
+  }
+
+  await query(
+    `INSERT INTO ${joinTable} (${taskColumn}, tag_id)
+     SELECT $1, unnest($2::int[])
+     ON CONFLICT DO NOTHING`,
+    [taskId, tagIds],
+  )
+
+  return { tags: await getTaskTags(scope, taskId) }
+}
+
+export const detachTag = async (scope, taskId, tagId) => {
+  const { joinTable, taskColumn } = TAG_SCOPES[scope]
+  const result = await query(`DELETE FROM ${joinTable} WHERE ${taskColumn} = $1 AND tag_id = $2 RETURNING tag_id`, [
+    taskId,
+    tagId,
+  ])
+
+  return result.rows.length > 0 ? { tags: await getTaskTags(scope, taskId) } : null
+}
+
+export default {
+  MAX_TAGS_PER_TASK,
+  TAG_SCOPES,
+  tagsJsonSql,
+  parseTagInput,
+  parseTagIds,
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  attachTags,
+  detachTag,
+}
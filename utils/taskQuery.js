@@ -0,0 +1,276 @@
+// Task list queries: filters, whitelisted sorting, full-text search and cursor pagination
+import { query } from "../config/database.js"
+import { validatePriority, validateStatus, DUE_FILTERS, buildDueCondition } from "./helpers.js"
+import { TAG_SCOPES } from "./tags.js"
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Must match the expression of the idx_*_search GIN indexes in database.sql
+const searchVector = (alias) =>
+  `to_tsvector('english', coalesce(${alias}.title, '') || ' ' || coalesce(${alias}.description, ''))`
+
+/**
+ * Sortable fields. `expr` gets the table alias and the sort direction
+ * (nullable columns sort their NULLs last either way); `type` is used to
+ * cast cursor values back.
+ */
+const SORT_FIELDS = {
+  created_at: { type: "timestamp", order: "desc", expr: (a) => `${a}.created_at` },
+  updated_at: { type: "timestamp", order: "desc", expr: (a) => `${a}.updated_at` },
+  completed_at: {
+    type: "timestamp",
+    order: "desc",
+    expr: (a, order) => `COALESCE(${a}.completed_at, '${order === "asc" ? "" : "-"}infinity'::timestamp)`,
+  },
+  due_at: {
+    type: "timestamptz",
+    order: "asc",
+    expr: (a, order) => `COALESCE(${a}.due_at, '${order === "asc" ? "" : "-"}infinity'::timestamptz)`,
+  },
+  priority: { type: "integer", order: "desc", expr: (a) => `${a}.priority` },
+  status: { type: "integer", order: "asc", expr: (a) => `(CASE WHEN ${a}.status = 'pending' THEN 0 ELSE 1 END)` },
+  title: { type: "text", order: "asc", expr: (a) => `LOWER(${a}.title)` },
+  week_start: { type: "date", order: "desc", expr: (a) => `${a}.week_start` },
+}
+
+export const SORTABLE_FIELDS = [...Object.keys(SORT_FIELDS), "relevance"]
+
+const sortSignature = (sort, order) => `${sort ?? "default"}:${order}`
+
+const isDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+
+const encodeCursor = (signature, values) => Buffer.from(JSON.stringify({ s: signature, v: values })).toString("base64url")
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    return typeof decoded?.s === "string" && Array.isArray(decoded.v) ? decoded : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Validate list options from a query string.
+ * Filters: status, priority, assigned_to, week_from, week_to, created_from, created_to,
+ * completed_from, completed_to (YYYY-MM-DD), due=overdue|soon&within_hours, q (full-text search),
+ * tags (comma-separated tag IDs; a task must carry all of them)
+ * Sorting: sort=<field>&order=asc|desc. Paging: limit, cursor (from the previous page).
+ */
+export const parseTaskListQuery = (params) => {
+  const filters = {}
+
+  if (params.status !== undefined) {
+    if (!validateStatus(params.status)) {
+      return { error: "Status must be pending or completed" }
+    }
+    filters.status = params.status
+  }
+
+  if (params.priority !== undefined) {
+    const priority = Number(params.priority)
+    if (!validatePriority(priority)) {
+      return { error: "Priority must be 1, 2 or 3" }
+    }
+    filters.priority = priority
+  }
+
+  if (params.assigned_to !== undefined) {
+    const assignedTo = Number(params.assigned_to)
+    if (!Number.isInteger(assignedTo) || assignedTo < 1) {
+      return { error: "assigned_to must be a user ID" }
+    }
+    filters.assigned_to = assignedTo
+  }
+
+  for (const key of ["week_from", "week_to", "created_from", "created_to", "completed_from", "completed_to"]) {
+    if (params[key] !== undefined) {
+      if (!isDate(params[key])) {
+        return { error: `${key} must be a date (YYYY-MM-DD)` }
+      }
+      filters[key] = params[key]
+    }
+  }
+
+  if (params.due !== undefined) {
+    if (!DUE_FILTERS.includes(params.due)) {
+      return { error: `due must be one of: ${DUE_FILTERS.join(", ")}` }
+    }
+    filters.due = params.due
+    filters.within_hours = params.within_hours
+  }
+
+  if (params.q !== undefined) {
+    if (typeof params.q !== "string" || params.q.trim().length === 0 || params.q.length > 200) {
+      return { error: "Search query must be between 1 and 200 characters" }
+    }
+    filters.q = params.q.trim()
+  }
+
+  if (params.tags !== undefined) {
+    const tagIds = String(params.tags).split(",").map(Number)
+    if (tagIds.length > 20 || !tagIds.every((id) => Number.isInteger(id) && id > 0)) {
+      return { error: "tags must be a comma-separated list of up to 20 tag IDs" }
+    }
+    filters.tags = [...new Set(tagIds)]
+  }
+
+  // Without an explicit sort: relevance when searching, otherwise pending first, then priority, newest
+  const field = params.sort ?? (filters.q ? "relevance" : null)
+
+  if (field !== null && !SORTABLE_FIELDS.includes(field)) {
+    return { error: `sort must be one of: ${SORTABLE_FIELDS.join(", ")}` }
+  }
+
+  if (field === "relevance" && !filters.q) {
+    return { error: "Sorting by relevance requires a search query (q)" }
+  }
+
+  if (params.order !== undefined && !["asc", "desc"].includes(params.order)) {
+    return { error: "order must be asc or desc" }
+  }
+
+  const order = params.order ?? (field && field !== "relevance" ? SORT_FIELDS[field].order : "desc")
+
+  let limit = DEFAULT_LIMIT
+  if (params.limit !== undefined) {
+    limit = Number(params.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be between 1 and ${MAX_LIMIT}` }
+    }
+  }
+
+  // A cursor only makes sense for the sort it was issued with
+  let cursor = null
+  if (params.cursor !== undefined) {
+    cursor = decodeCursor(params.cursor)
+    if (!cursor || cursor.s !== sortSignature(field, order) || cursor.v.length !== (field ? 2 : 4)) {
+      return { error: "Invalid cursor for this sort" }
+    }
+  }
+
+  return { filters, sort: field, order, limit, cursor }
+}
+
+// Build the ORDER BY keys: [{ expr, type, order }], always ending with the id as tie-breaker
+const buildSortKeys = (alias, sort, order, searchParam) => {
+  if (sort === "relevance") {
+    return [
+      { expr: `ts_rank(${searchVector(alias)}, websearch_to_tsquery('english', ${searchParam}))`, type: "real", order },
+      { expr: `${alias}.id`, type: "integer", order },
+    ]
+  }
+
+  if (sort) {
+    return [
+      { expr: SORT_FIELDS[sort].expr(alias, order), type: SORT_FIELDS[sort].type, order },
+      { expr: `${alias}.id`, type: "integer", order },
+    ]
+  }
+
+  return [
+    { expr: SORT_FIELDS.status.expr(alias), type: "integer", order: "asc" },
+    { expr: `${alias}.priority`, type: "integer", order: "desc" },
+    { expr: `${alias}.created_at`, type: "timestamp", order: "desc" },
+    { expr: `${alias}.id`, type: "integer", order: "desc" },
+  ]
+}
+
+/**
+ * Fetch one page of tasks.
+ * from / alias / select / where / params describe the base query (e.g. the user's
+ * active tasks); timezone decides which calendar day the created/completed filters use,
+ * and tagScope ("personal" or "family") which join table the tags filter reads.
+ * Returns { tasks, page: { limit, count, total, has_more, next_cursor, sort, order } }.
+ */
+export const listTasks = async ({ from, alias, select, where, params, timezone = "UTC", tagScope, options }) => {
+  const { filters, sort, order, limit, cursor } = options
+  const values = [...params]
+  const conditions = [where]
+
+  const param = (value) => {
+    values.push(value)
+    return `$${values.length}`
+  }
+
+  const localDate = (column) => `(${alias}.${column}::timestamptz AT TIME ZONE ${param(timezone)})::date`
+
+  if (filters.status) conditions.push(`${alias}.status = ${param(filters.status)}`)
+  if (filters.priority) conditions.push(`${alias}.priority = ${param(filters.priority)}`)
+  if (filters.assigned_to) conditions.push(`${alias}.assigned_to = ${param(filters.assigned_to)}`)
+  if (filters.week_from) conditions.push(`${alias}.week_start >= ${param(filters.week_from)}::date`)
+  if (filters.week_to) conditions.push(`${alias}.week_start <= ${param(filters.week_to)}::date`)
+  if (filters.created_from) conditions.push(`${localDate("created_at")} >= ${param(filters.created_from)}::date`)
+  if (filters.created_to) conditions.push(`${localDate("created_at")} <= ${param(filters.created_to)}::date`)
+  if (filters.completed_from) conditions.push(`${localDate("completed_at")} >= ${param(filters.completed_from)}::date`)
+  if (filters.completed_to) conditions.push(`${localDate("completed_at")} <= ${param(filters.completed_to)}::date`)
+  if (filters.due) conditions.push(buildDueCondition(filters.due, filters.within_hours, alias))
+
+  if (filters.tags) {
+    const { joinTable, taskColumn } = TAG_SCOPES[tagScope]
+    conditions.push(
+      `(SELECT COUNT(*) FROM ${joinTable} jt WHERE jt.${taskColumn} = ${alias}.id AND jt.tag_id = ANY(${param(filters.tags)}::int[])) = ${filters.tags.length}`,
+    )
+  }
+
+  let searchParam = null
+  if (filters.q) {
+    searchParam = param(filters.q)
+    conditions.push(`${searchVector(alias)} @@ websearch_to_tsquery('english', ${searchParam})`)
+  }
+
+  const filterSql = conditions.join(" AND ")
+  const filterValues = [...values]
+
+  const keys = buildSortKeys(alias, sort, order, searchParam)
+
+  // Keyset condition: rows strictly after the cursor in sort order
+  let cursorSql = ""
+  if (cursor) {
+    const cursorValues = keys.map((key, index) => `${param(cursor.v[index])}::${key.type}`)
+    const branches = keys.map((key, index) => {
+      const equal = keys.slice(0, index).map((previous, i) => `${previous.expr} = ${cursorValues[i]}`)
+      const comparison = `${key.expr} ${key.order === "asc" ? ">" : "<"} ${cursorValues[index]}`
+      return `(${[...equal, comparison].join(" AND ")})`
+    })
+    cursorSql = `AND (${branches.join(" OR ")})`
+  }
+
+  const result = await query(
+    `SELECT ${select}, ${keys.map((key, index) => `(${key.expr})::text as sort_key_${index}`).join(", ")}
+     FROM ${from}
+     WHERE ${filterSql} ${cursorSql}
+     ORDER BY ${keys.map((key) => `${key.expr} ${key.order.toUpperCase()}`).join(", ")}
+     LIMIT ${param(limit + 1)}`,
+    values,
+  )
+
+  const countResult = await query(`SELECT COUNT(*) as total FROM ${from} WHERE ${filterSql}`, filterValues)
+
+  const hasMore = result.rows.length > limit
+  const rows = result.rows.slice(0, limit)
+  const last = rows[rows.length - 1]
+
+  const tasks = rows.map((row) => {
+    const task = { ...row }
+    keys.forEach((key, index) => delete task[`sort_key_${index}`])
+    return task
+  })
+
+  return {
+    tasks,
+    page: {
+      limit,
+      count: tasks.length,
+      total: Number.parseInt(countResult.rows[0].total),
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(sortSignature(sort, order), keys.map((key, index) => last[`sort_key_${index}`])) : null,
+      sort: sort ?? "default",
+      order,
+    },
+  }
+}
+
+export default { SORTABLE_FIELDS, parseTaskListQuery, listTasks }
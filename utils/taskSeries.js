@@ -0,0 +1,338 @@
+// Recurring task series: storage and occurrence generation
+import { query, withTransaction } from "../config/database.js"
+import {
+  normalizeRecurrence,
+  nextOccurrence,
+  occurrencesBetween,
+  isOccurrence,
+  toRuleDate,
+  weekStartOf,
+} from "./recurrence.js"
+import { getCurrentWeekStart, getLocalDate, getWeekRange, validatePriority } from "./helpers.js"
+
+export const RULE_FIELDS = [
+  "frequency",
+  "repeat_interval",
+  "by_weekday",
+  "by_month_day",
+  "starts_on",
+  "until_date",
+  "occurrence_count",
+]
+
+const tableFor = (series) => (series.family_id ? "family_tasks" : "tasks")
+
+// Today's date in the time zone of a user or family (or UTC)
+export const today = (settings = {}) => getLocalDate(settings.timezone)
+
+// Time zone and week start day of the user or family owning a series
+const loadWeekSettings = async (client, series) => {
+  const result = series.family_id
+    ? await client.query("SELECT timezone, week_start_day FROM families WHERE id = $1", [series.family_id])
+    : await client.query("SELECT timezone, week_start_day FROM users WHERE id = $1", [series.user_id])
+  return result.rows[0] || {}
+}
+
+// Insert the task row for one occurrence; returns null if it already exists
+const insertOccurrence = async (client, series, occurrenceDate) => {
+  const { week_start_day } = await loadWeekSettings(client, series)
+  const weekStart = weekStartOf(occurrenceDate, week_start_day)
+  let result
+
+  if (series.family_id) {
+    // A series whose creator deleted their account produces tasks created by the family leader
+    result = await client.query(
+      `INSERT INTO family_tasks (family_id, created_by, title, description, priority, assigned_to, week_start, series_id, occurrence_date)
+       VALUES ($1, COALESCE($2, (SELECT created_by FROM families WHERE id = $1)), $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (series_id, occurrence_date) DO NOTHING
+       RETURNING *`,
+      [
+        series.family_id,
+        series.created_by,
+        series.title,
+        series.description,
+        series.priority,
+        series.assigned_to,
+        weekStart,
+        series.id,
+        occurrenceDate,
+      ],
+    )
+  } else {
+    result = await client.query(
+      `INSERT INTO tasks (user_id, title, description, priority, status, assigned_to, week_start, series_id, occurrence_date)
+       VALUES ($1, $2, $3, $4, 'pending', $1, $5, $6, $7)
+       ON CONFLICT (series_id, occurrence_date) DO NOTHING
+       RETURNING *`,
+      [
+        series.user_id,
+        series.title,
+        series.description,
+        series.priority,
+        weekStart,
+        series.id,
+        occurrenceDate,
+      ],
+    )
+  }
+
+  await client.query(
+    "UPDATE task_series SET last_occurrence = GREATEST(COALESCE(last_occurrence, $2), $2) WHERE id = $1",
+    [series.id, occurrenceDate],
+  )
+
+  return result.rows[0] || null
+}
+
+const hasPendingOccurrence = async (client, series) => {
+  const result = await client.query(
+    `SELECT 1 FROM ${tableFor(series)} WHERE series_id = $1 AND status = 'pending' LIMIT 1`,
+    [series.id],
+  )
+  return result.rows.length > 0
+}
+
+/**
+ * Validate a series edit request: { title, description, priority, assigned_to, recurrence, active }.
+ * active: true resumes a stopped series (stopping goes through stopSeries).
+ * `settings` (timezone) decides which day a rule without starts_on begins.
+ */
+export const parseSeriesChanges = (body, settings = {}) => {
+  const fields = {}
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== "string" || body.title.trim().length === 0 || body.title.length > 200) {
+      return { error: "Task title is required and must be less than 200 characters" }
+    }
+    fields.title = body.title.trim()
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description?.trim() || null
+  }
+
+  if (body.priority !== undefined) {
+    if (!validatePriority(body.priority)) {
+      return { error: "Priority must be 1, 2 or 3" }
+    }
+    fields.priority = body.priority
+  }
+
+  if (body.assigned_to !== undefined) {
+    if (!Number.isInteger(body.assigned_to) || body.assigned_to < 1) {
+      return { error: "assigned_to must be a user ID" }
+    }
+    fields.assigned_to = body.assigned_to
+  }
+
+  if (body.active !== undefined) {
+    if (body.active !== true) {
+      return { error: "active can only be set to true; stop a series by deleting it" }
+    }
+    fields.active = true
+  }
+
+  let rule = null
+  if (body.recurrence !== undefined) {
+    rule = normalizeRecurrence(body.recurrence, today(settings))
+    if (rule.error) return { error: rule.error }
+  }
+
+  return { fields, rule }
+}
+
+// Create a series and its first occurrence
+export const createSeries = async (client, fields, rule) => {
+  const seriesResult = await client.query(
+    `INSERT INTO task_series (user_id, family_id, created_by, assigned_to, title, description, priority,
+       frequency, repeat_interval, by_weekday, by_month_day, starts_on, until_date, occurrence_count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+     RETURNING *`,
+    [
+      fields.user_id || null,
+      fields.family_id || null,
+      fields.created_by,
+      fields.assigned_to,
+      fields.title,
+      fields.description,
+      fields.priority,
+      ...RULE_FIELDS.map((field) => rule[field]),
+    ],
+  )
+
+  const series = seriesResult.rows[0]
+  const firstDate = nextOccurrence(series)
+  const task = firstDate ? await insertOccurrence(client, series, firstDate) : null
+
+  return { series, task }
+}
+
+/**
+ * Generate the next occurrence once the series has no pending task left.
+ * Called when a series task is completed or an occurrence is skipped.
+ */
+export const advanceSeries = async (client, seriesId) => {
+  const seriesResult = await client.query("SELECT * FROM task_series WHERE id = $1 FOR UPDATE", [seriesId])
+  const series = seriesResult.rows[0]
+
+  if (!series || !series.active || (await hasPendingOccurrence(client, series))) {
+    return null
+  }
+
+  const next = nextOccurrence(series, series.last_occurrence)
+
+  if (!next) {
+    // Rule exhausted (until date or count reached)
+    await client.query("UPDATE task_series SET active = FALSE WHERE id = $1", [series.id])
+    return null
+  }
+
+  return insertOccurrence(client, series, next)
+}
+
+// Skip a single occurrence, removing its task if it hasn't been completed
+export const skipOccurrence = async (client, series, date) => {
+  if (!isOccurrence(series, date)) {
+    return { error: "That date is not an occurrence of this series" }
+  }
+
+  await client.query(
+    `UPDATE task_series SET skipped_dates = array_append(skipped_dates, $2::date)
+     WHERE id = $1 AND NOT ($2::date = ANY(skipped_dates))`,
+    [series.id, date],
+  )
+
+  const removed = await client.query(
+    `DELETE FROM ${tableFor(series)} WHERE series_id = $1 AND occurrence_date = $2 AND status = 'pending' RETURNING id`,
+    [series.id, date],
+  )
+
+  // The open task was skipped, so move on to the next occurrence
+  if (removed.rows.length > 0) {
+    await advanceSeries(client, series.id)
+  }
+
+  return { removed_task_id: removed.rows[0]?.id || null }
+}
+
+/**
+ * Update task fields and/or the rule of a series. Pending tasks pick up the
+ * new fields; when the rule changes, upcoming pending tasks are regenerated.
+ * A stopped series only starts again with a new rule or fields.active.
+ */
+export const updateSeries = async (client, series, fields, rule = null) => {
+  const updated = { ...series, ...fields, ...(rule || {}) }
+  const active = series.active || Boolean(rule) || fields.active === true
+
+  await client.query(
+    `UPDATE task_series
+     SET title = $2, description = $3, priority = $4, assigned_to = $5,
+         frequency = $6, repeat_interval = $7, by_weekday = $8, by_month_day = $9,
+         starts_on = $10, until_date = $11, occurrence_count = $12, active = $13
+     WHERE id = $1`,
+    [
+      series.id,
+      updated.title,
+      updated.description,
+      updated.priority,
+      updated.assigned_to,
+      ...RULE_FIELDS.map((field) => updated[field]),
+      active,
+    ],
+  )
+
+  const table = tableFor(series)
+
+  await client.query(
+    `UPDATE ${table} SET title = $2, description = $3, priority = $4${series.family_id ? ", assigned_to = $5" : ""}
+     WHERE series_id = $1 AND status = 'pending'`,
+    series.family_id
+      ? [series.id, updated.title, updated.description, updated.priority, updated.assigned_to]
+      : [series.id, updated.title, updated.description, updated.priority],
+  )
+
+  if (rule) {
+    await client.query(`DELETE FROM ${table} WHERE series_id = $1 AND status = 'pending' AND occurrence_date >= $2`, [
+      series.id,
+      today(await loadWeekSettings(client, series)),
+    ])
+    // Restart generation from the latest task that is kept
+    await client.query(
+      `UPDATE task_series SET skipped_dates = '{}',
+         last_occurrence = (SELECT MAX(occurrence_date) FROM ${table} WHERE series_id = $1)
+       WHERE id = $1`,
+      [series.id],
+    )
+    await advanceSeries(client, series.id)
+  } else if (active && !series.active) {
+    // Resumed: carry on from the last occurrence
+    await advanceSeries(client, series.id)
+  }
+
+  const result = await client.query("SELECT * FROM task_series WHERE id = $1", [series.id])
+  return result.rows[0]
+}
+
+// Stop a series; optionally remove its upcoming pending tasks
+export const stopSeries = async (client, series, deletePending = false) => {
+  await client.query("UPDATE task_series SET active = FALSE WHERE id = $1", [series.id])
+
+  if (!deletePending) return 0
+
+  const removed = await client.query(
+    `DELETE FROM ${tableFor(series)} WHERE series_id = $1 AND status = 'pending' AND occurrence_date >= $2 RETURNING id`,
+    [series.id, today(await loadWeekSettings(client, series))],
+  )
+  return removed.rows.length
+}
+
+// Weekly generation: create every occurrence falling in each owner's current week
+export const generateCurrentWeekOccurrences = async () => {
+  const seriesResult = await query("SELECT id FROM task_series WHERE active = TRUE")
+  let created = 0
+
+  for (const { id } of seriesResult.rows) {
+    created += await withTransaction(async (client) => {
+      const lockedResult = await client.query(
+        "SELECT * FROM task_series WHERE id = $1 AND active = TRUE FOR UPDATE",
+        [id],
+      )
+      const series = lockedResult.rows[0]
+      if (!series) return 0
+
+      const settings = await loadWeekSettings(client, series)
+      const { start: weekStart, end: weekEnd } = getWeekRange(getCurrentWeekStart(settings))
+      const lastOccurrence = toRuleDate(series.last_occurrence)
+      const dates = occurrencesBetween(series, weekStart, weekEnd).filter(
+        (date) => !lastOccurrence || date > lastOccurrence,
+      )
+
+      let count = 0
+      for (const date of dates) {
+        if (await insertOccurrence(client, series, date)) count++
+      }
+
+      // Retire series whose rule has run out and whose last task is done
+      const after = lastOccurrence && lastOccurrence > weekEnd ? lastOccurrence : weekEnd
+      if (!nextOccurrence(series, after) && !(await hasPendingOccurrence(client, series))) {
+        await client.query("UPDATE task_series SET active = FALSE WHERE id = $1", [series.id])
+      }
+
+      return count
+    })
+  }
+
+  return created
+}
+
+export default {
+  RULE_FIELDS,
+  today,
+  parseSeriesChanges,
+  createSeries,
+  advanceSeries,
+  skipOccurrence,
+  updateSeries,
+  stopSeries,
+  generateCurrentWeekOccurrences,
+}
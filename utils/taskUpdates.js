@@ -0,0 +1,151 @@
+// Partial task updates with optimistic concurrency (version / ETag / If-Match)
+import { validatePriority, validateStatus } from "./helpers.js"
+
+// ALLOW_MISSING_IF_MATCH=true lets PUT and DELETE requests without If-Match through,
+// for older clients while they move over. PATCH always requires it.
+const ALLOW_MISSING_IF_MATCH = process.env.ALLOW_MISSING_IF_MATCH === "true"
+
+const PATCHABLE_FIELDS = ["title", "description", "priority", "status", "due_at", "checklist_auto_complete", "assigned_to"]
+
+// ETag of a task; changes whenever its content does (see the bump_row_version trigger)
+export const taskEtag = (task) => `"${task.id}-${task.version}"`
+
+export const setTaskEtag = (res, task) => res.set("ETag", taskEtag(task))
+
+/**
+ * Compare the If-Match header with a task's current ETag.
+ * Returns "ok", "missing" (no header) or "mismatch".
+ * With `compat`, a missing header is "ok" when ALLOW_MISSING_IF_MATCH is set.
+ */
+export const checkIfMatch = (req, task, { compat = false } = {}) => {
+  const header = req.get("If-Match")
+
+  if (!header) return compat && ALLOW_MISSING_IF_MATCH ? "ok" : "missing"
+  if (header.trim() === "*") return "ok"
+
+  // Accept weak validators and lists, e.g. If-Match: W/"12-3", "12-4"
+  const tags = header.split(",").map((tag) => tag.trim().replace(/^W\//, ""))
+  return tags.includes(taskEtag(task)) ? "ok" : "mismatch"
+}
+
+// Send the 428/412 response for a failed If-Match check, with the current task so clients can merge
+export const sendPreconditionError = (res, result, task) => {
+  if (result === "missing") {
+    return res.status(428).json({ error: "If-Match header with the task's ETag is required" })
+  }
+
+  setTaskEtag(res, task)
+  return res.status(412).json({ error: "Task was changed by someone else. Reload it and try again.", task })
+}
+
+/**
+ * Validate a PATCH body. Only fields that are present are returned.
+ * assigned_to is only accepted when `allowAssignee` is set (family tasks).
+ */
+export const parseTaskPatch = (body, { allowAssignee = false } = {}) => {
+  const fields = {}
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== "string" || body.title.trim().length === 0) {
+      return { error: "Task title is required" }
+    }
+    if (body.title.length > 200) {
+      return { error: "Task title must be less than 200 characters" }
+    }
+    fields.title = body.title.trim()
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      return { error: "Description must be a string" }
+    }
+    fields.description = body.description?.trim() || null
+  }
+
+  if (body.priority !== undefined) {
+    if (!validatePriority(body.priority)) {
+      return { error: "Priority must be 1, 2 or 3" }
+    }
+    fields.priority = body.priority
+  }
+
+  if (body.status !== undefined) {
+    if (!validateStatus(body.status)) {
+      return { error: "Status must be pending or completed" }
+    }
+    fields.status = body.status
+  }
+
+  if (body.due_at !== undefined) {
+    if (body.due_at !== null && (typeof body.due_at !== "string" || Number.isNaN(Date.parse(body.due_at)))) {
+      return { error: "Due date must be a valid date" }
+    }
+    fields.due_at = body.due_at
+  }
+
+  if (body.checklist_auto_complete !== undefined) {
+    if (typeof body.checklist_auto_complete !== "boolean") {
+      return { error: "checklist_auto_complete must be true or false" }
+    }
+    fields.checklist_auto_complete = body.checklist_auto_complete
+  }
+
+  if (body.assigned_to !== undefined) {
+    if (!allowAssignee) {
+      return { error: "Personal tasks cannot be reassigned" }
+    }
+    if (!Number.isInteger(body.assigned_to) || body.assigned_to < 1) {
+      return { error: "assigned_to must be a user ID" }
+    }
+    fields.assigned_to = body.assigned_to
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: `Provide at least one of: ${PATCHABLE_FIELDS.join(", ")}` }
+  }
+
+  return { fields }
+}
+
+/**
+ * Apply validated fields to a task, but only if it is still at `task.version`.
+ * completed_at is set/cleared only when the status actually changes, and a
+ * new due date re-arms the reminder. Returns the updated row, or null on conflict.
+ */
+export const applyTaskPatch = async (client, table, task, fields) => {
+  const values = [task.id, task.version]
+  const placeholders = {}
+  const assignments = Object.keys(fields).map((field) => {
+    values.push(fields[field])
+    placeholders[field] = `$${values.length}`
+    return `${field} = ${placeholders[field]}`
+  })
+
+  if (fields.status !== undefined && fields.status !== task.status) {
+    assignments.push(fields.status === "completed" ? "completed_at = CURRENT_TIMESTAMP" : "completed_at = NULL")
+  }
+
+  if (fields.due_at !== undefined) {
+    assignments.push(
+      `reminder_sent_at = CASE WHEN due_at IS DISTINCT FROM ${placeholders.due_at}::timestamptz THEN NULL ELSE reminder_sent_at END`,
+    )
+  }
+
+  const result = await client.query(
+    `UPDATE ${table} SET ${assignments.join(", ")}
+     WHERE id = $1 AND version = $2
+     RETURNING *`,
+    values,
+  )
+
+  return result.rows[0] || null
+}
+
+export default {
+  taskEtag,
+  setTaskEtag,
+  checkIfMatch,
+  sendPreconditionError,
+  parseTaskPatch,
+  applyTaskPatch,
+}
@@ -0,0 +1,40 @@
+// Email address verification helpers
+import crypto from "crypto"
+import { query } from "../config/database.js"
+import { sendEmail, emailTemplates } from "../config/email.js"
+
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000 // 24 hours
+export const RESEND_COOLDOWN_SECONDS = 60
+
+// Issue (or replace) a verification token and email the link to the user
+export const sendVerificationEmail = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString("hex")
+  const expiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS)
+
+  await query(
+    "INSERT INTO email_verification_tokens (user_id, token, expires_at) VALUES ($1, $2, $3) ON CONFLICT (user_id) DO UPDATE SET token = $2, expires_at = $3, created_at = CURRENT_TIMESTAMP",
+    [user.id, verificationToken, expiresAt],
+  )
+
+  const verifyUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/verify-email?token=${verificationToken}`
+
+  return sendEmail(
+    user.email,
+    "Verify your email - TaskFlow",
+    emailTemplates.emailVerification(user.username, verifyUrl),
+  )
+}
+
+// Seconds until another verification email may be sent (0 when allowed)
+export const getResendCooldown = async (userId) => {
+  const result = await query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (created_at + INTERVAL '${RESEND_COOLDOWN_SECONDS} seconds' - CURRENT_TIMESTAMP))) AS wait
+     FROM email_verification_tokens WHERE user_id = $1`,
+    [userId],
+  )
+
+  if (result.rows.length === 0) return 0
+  return Math.max(0, Number.parseInt(result.rows[0].wait) || 0)
+}
+
+export default { sendVerificationEmail, getResendCooldown, RESEND_COOLDOWN_SECONDS }
@@ -0,0 +1,70 @@
+// Week settings shared by users and families: rollover mode, time zone and week start day
+import { ROLLOVER_MODES } from "./rollover.js"
+import { isValidTimeZone, WEEK_START_DAYS } from "./helpers.js"
+
+export const WEEK_SETTING_FIELDS = ["rollover_mode", "timezone", "week_start_day"]
+
+// Validate a settings update; any subset of the fields may be given
+export const parseWeekSettings = (body) => {
+  const fields = {}
+
+  if (body.rollover_mode !== undefined) {
+    if (!ROLLOVER_MODES.includes(body.rollover_mode)) {
+      return { error: `rollover_mode must be one of: ${ROLLOVER_MODES.join(", ")}` }
+    }
+    fields.rollover_mode = body.rollover_mode
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) {
+      return { error: "timezone must be an IANA time zone such as Europe/London" }
+    }
+    fields.timezone = body.timezone
+  }
+
+  if (body.week_start_day !== undefined) {
+    if (!WEEK_START_DAYS.includes(body.week_start_day)) {
+      return { error: "week_start_day must be 0 (Sunday) or 1 (Monday)" }
+    }
+    fields.week_start_day = body.week_start_day
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: `Provide at least one of: ${WEEK_SETTING_FIELDS.join(", ")}` }
+  }
+
+  return { fields }
+}
+
+/**
+ * Save settings for a user ("users") or family ("families"). When the week
+ * start day changes, existing tasks are moved onto the new week boundaries
+ * so they keep grouping with the week they mostly fell in.
+ */
+export const saveWeekSettings = async (client, table, id, fields) => {
+  const columns = Object.keys(fields)
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`)
+
+  if (table === "users") {
+    assignments.push("updated_at = CURRENT_TIMESTAMP")
+  }
+
+  const result = await client.query(
+    `UPDATE ${table} SET ${assignments.join(", ")} WHERE id = $1 RETURNING ${WEEK_SETTING_FIELDS.join(", ")}`,
+    [id, ...columns.map((column) => fields[column])],
+  )
+
+  if (fields.week_start_day !== undefined) {
+    const [taskTable, ownerColumn] = table === "users" ? ["tasks", "user_id"] : ["family_tasks", "family_id"]
+
+    await client.query(
+      `UPDATE ${taskTable} SET week_start = align_week_start(week_start, $2)
+       WHERE ${ownerColumn} = $1 AND week_start <> align_week_start(week_start, $2)`,
+      [id, fields.week_start_day],
+    )
+  }
+
+  return result.rows[0]
+}
+
+export default { WEEK_SETTING_FIELDS, parseWeekSettings, saveWeekSettings }
@@ -0,0 +1,88 @@
+// Minimal ZIP archive writer (deflate, no ZIP64) for small generated files
+import zlib from "zlib"
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date/time fields used by the ZIP format
+const toDosDateTime = (date) => {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  return { time, day }
+}
+
+/**
+ * Build a ZIP archive in memory.
+ * @param {{ name: string, data: string|Buffer }[]} files
+ * @returns {Buffer}
+ */
+export const createZip = (files, date = new Date()) => {
+  const { time, day } = toDosDateTime(date)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf8")
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf8")
+    const compressed = zlib.deflateRawSync(data)
+    const checksum = crc32(data)
+
+    const localHeader = Buffer.alloc(30)
+    localHeader.writeUInt32LE(0x04034b50, 0) // local file header signature
+    localHeader.writeUInt16LE(20, 4) // version needed
+    localHeader.writeUInt16LE(0x0800, 6) // UTF-8 file names
+    localHeader.writeUInt16LE(8, 8) // deflate
+    localHeader.writeUInt16LE(time, 10)
+    localHeader.writeUInt16LE(day, 12)
+    localHeader.writeUInt32LE(checksum, 14)
+    localHeader.writeUInt32LE(compressed.length, 18)
+    localHeader.writeUInt32LE(data.length, 22)
+    localHeader.writeUInt16LE(name.length, 26)
+    localHeader.writeUInt16LE(0, 28)
+
+    const centralHeader = Buffer.alloc(46)
+    centralHeader.writeUInt32LE(0x02014b50, 0) // central directory signature
+    centralHeader.writeUInt16LE(20, 4) // version made by
+    centralHeader.writeUInt16LE(20, 6) // version needed
+    centralHeader.writeUInt16LE(0x0800, 8)
+    centralHeader.writeUInt16LE(8, 10)
+    centralHeader.writeUInt16LE(time, 12)
+    centralHeader.writeUInt16LE(day, 14)
+    centralHeader.writeUInt32LE(checksum, 16)
+    centralHeader.writeUInt32LE(compressed.length, 20)
+    centralHeader.writeUInt32LE(data.length, 24)
+    centralHeader.writeUInt16LE(name.length, 28)
+    centralHeader.writeUInt32LE(offset, 42) // local header offset
+
+    localParts.push(localHeader, name, compressed)
+    centralParts.push(centralHeader, name)
+    offset += localHeader.length + name.length + compressed.length
+  }
+
+  const centralDirectory = Buffer.concat(centralParts)
+
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0) // end of central directory signature
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(centralDirectory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...localParts, centralDirectory, end])
+}
+
+export default { createZip }